@@ -0,0 +1,99 @@
+/**
+ * Achievements for Synergy Squares. Each achievement has a rule that is checked
+ * when its trigger happens in the game:
+ *   complete   a level was completed; facts: { countries, finalHolder }
+ *   holdEnd    a hold ended (released, or squares cleared); facts: { holdMs }
+ *   hold       a square was taken; facts: { streakDays }
+ * The game server gathers the facts and stores unlocks on the player record
+ * as player.achievements, a map of achievement id -> unlockedAt.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ACHIEVEMENTS = [
+  {
+    id: 'first-completion',
+    name: 'First Steps',
+    description: 'Complete your first level',
+    icon: '🎉',
+    trigger: 'complete',
+    test: () => true,
+  },
+  {
+    id: 'five-countries',
+    name: 'United Squares',
+    description: 'Complete a level with players from 5 countries',
+    icon: '🌍',
+    trigger: 'complete',
+    test: (facts) => facts.countries >= 5,
+  },
+  {
+    id: 'final-square',
+    name: 'Finisher',
+    description: 'Take the last free square of a level that is then completed',
+    icon: '🏁',
+    trigger: 'complete',
+    test: (facts) => facts.finalHolder,
+  },
+  {
+    id: 'long-hold',
+    name: 'Steady Hands',
+    description: 'Hold a square for 60 seconds',
+    icon: '✋',
+    trigger: 'holdEnd',
+    test: (facts) => facts.holdMs >= 60000,
+  },
+  {
+    id: 'week-streak',
+    name: 'Regular',
+    description: 'Play 7 days in a row',
+    icon: '📅',
+    trigger: 'hold',
+    test: (facts) => facts.streakDays >= 7,
+  },
+];
+
+/**
+ * Achievements a trigger's facts unlock that are not in unlocked yet
+ * (a map of id -> unlockedAt, possibly undefined).
+ */
+function evaluateAchievements(trigger, facts, unlocked) {
+  return ACHIEVEMENTS.filter((a) => a.trigger === trigger && !(unlocked && unlocked[a.id]) && a.test(facts));
+}
+
+/**
+ * Public fields of an achievement.
+ */
+function toPublicAchievement(achievement) {
+  const { id, name, description, icon } = achievement;
+  return { id, name, description, icon };
+}
+
+/**
+ * Every achievement with its unlock time from unlocked, or null while locked.
+ */
+function listAchievements(unlocked) {
+  return ACHIEVEMENTS.map((a) =>
+    Object.assign(toPublicAchievement(a), { unlockedAt: (unlocked && unlocked[a.id]) || null })
+  );
+}
+
+/**
+ * Advance a play streak ({ lastDay, days }, where lastDay counts UTC days since
+ * the epoch) to include the day of now. Returns the same object if now falls on
+ * lastDay, so callers can tell whether anything changed.
+ */
+function updatePlayStreak(streak, now) {
+  const today = Math.floor(now / DAY_MS);
+  if (streak && streak.lastDay === today) return streak;
+  const days = streak && streak.lastDay === today - 1 ? streak.days + 1 : 1;
+  return { lastDay: today, days };
+}
+
+module.exports = {
+  ACHIEVEMENTS,
+  evaluateAchievements,
+  toPublicAchievement,
+  listAchievements,
+  updatePlayStreak,
+};
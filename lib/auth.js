@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+/**
+ * Password hashing, session and reset token helpers for Synergy Squares.
+ * Passwords are hashed with a per-player random salt using scrypt, and session
+ * tokens are HMAC-signed so the server can trust the player id they carry.
+ */
+
+const SCRYPT_KEYLEN = 64;
+const SALT_BYTES = 16;
+
+/**
+ * Hash a password with a fresh random salt.
+ * Calls back with { salt, hash } as hex strings.
+ */
+function hashPassword(password, callback) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  crypto.scrypt(String(password), salt, SCRYPT_KEYLEN, (err, derived) => {
+    if (err) return callback(err);
+    callback(null, { salt, hash: derived.toString('hex') });
+  });
+}
+
+/**
+ * Check a password against a stored salt and hash.
+ * Calls back with true when they match.
+ */
+function verifyPassword(password, salt, hash, callback) {
+  if (!salt || !hash) return callback(null, false);
+  crypto.scrypt(String(password), salt, SCRYPT_KEYLEN, (err, derived) => {
+    if (err) return callback(err);
+    const expected = Buffer.from(hash, 'hex');
+    callback(null, expected.length === derived.length && crypto.timingSafeEqual(expected, derived));
+  });
+}
+
+/**
+ * Encode a buffer or string as base64url.
+ */
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Compute the signature of a token payload.
+ */
+function sign(encodedPayload, secret) {
+  return base64url(crypto.createHmac('sha256', secret).update(encodedPayload).digest());
+}
+
+/**
+ * Create a signed session token for a player, issued at `now` (default the
+ * current time). Returns { token, sessionId, expiresAt }.
+ */
+function createSessionToken(playerId, secret, ttlMs, now = Date.now()) {
+  const sessionId = crypto.randomBytes(12).toString('hex');
+  const issuedAt = now;
+  const expiresAt = issuedAt + ttlMs;
+  const payload = base64url(JSON.stringify({ sid: sessionId, pid: playerId, iat: issuedAt, exp: expiresAt }));
+  return { token: `${payload}.${sign(payload, secret)}`, sessionId, expiresAt };
+}
+
+/**
+ * Verify a session token's signature and expiry at `now` (default the current
+ * time). Returns { sessionId, playerId, issuedAt, expiresAt } or null if the
+ * token is invalid. issuedAt is 0 for tokens issued before it was recorded.
+ */
+function verifySessionToken(token, secret, now = Date.now()) {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 2) return null;
+  const [payload, signature] = parts;
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!data || typeof data.exp !== 'number' || data.exp <= now) return null;
+  return { sessionId: data.sid, playerId: data.pid, issuedAt: data.iat || 0, expiresAt: data.exp };
+}
+
+/**
+ * Create a one-time password reset token.
+ * Returns { token, tokenHash }; only the hash should be stored.
+ */
+function createResetToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashResetToken(token) };
+}
+
+/**
+ * Hash a password reset token for storage and lookup.
+ */
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  verifySessionToken,
+  createResetToken,
+  hashResetToken,
+};
@@ -0,0 +1,238 @@
+const http = require('http');
+
+/**
+ * Headless Synergy Squares player for testing and load simulation. A bot
+ * signs up (or logs in) over the HTTP API, joins a room, polls the board and
+ * holds and releases squares according to its behaviour:
+ *   cooperative  takes a free square once the squad is complete and keeps it
+ *   flaky        like cooperative, but hesitates and lets go at random
+ *   griefing     grabs squares and lets go halfway through the hold countdown
+ * Every request's latency is recorded per route in bot.stats.
+ */
+
+const BOT_PASSWORD = 'bot-password';
+const HEARTBEAT_MS = 10000;
+
+/**
+ * Decide what to do with the current board. Returns 'hold', 'release' or null.
+ * me is the bot's entry in board.players; holding is whether it has a square.
+ */
+const BEHAVIOURS = {
+  cooperative(board, me, holding) {
+    if (holding || me.status !== 'active') return null;
+    return board.activeCount === board.requiredPlayers ? 'hold' : null;
+  },
+  flaky(board, me, holding) {
+    if (holding) return Math.random() < 0.15 ? 'release' : null;
+    if (Math.random() < 0.3) return null;
+    return BEHAVIOURS.cooperative(board, me, holding);
+  },
+  griefing(board, me, holding) {
+    if (holding) {
+      const halfway = board.countdown && board.countdown.remainingMs < board.holdMs / 2;
+      return halfway || Math.random() < 0.1 ? 'release' : null;
+    }
+    return BEHAVIOURS.cooperative(board, me, holding);
+  },
+};
+
+/**
+ * Playable squares of a board nobody holds that the level's game mode lets
+ * the player me take.
+ */
+function getFreeSquares(board, me) {
+  const free = [];
+  for (let i = 0; i < board.squaresCount; i++) {
+    if (!board.occupied[i] && !board.layout.blocked.includes(i)) free.push(i);
+  }
+  const { mode } = board;
+  if (mode.id === 'ordered') {
+    const next = mode.order.find((i) => !board.occupied[i]);
+    return next === undefined ? [] : [next];
+  }
+  if (mode.id === 'pattern') return free.filter((i) => mode.targets.includes(i));
+  if (mode.id === 'country' && me.country) {
+    const row = (i) => Math.floor(i / board.layout.columns);
+    const taken = board.players
+      .filter((p) => p.country === me.country && Number.isInteger(p.squareIndex))
+      .map((p) => row(p.squareIndex));
+    return free.filter((i) => !taken.includes(row(i)));
+  }
+  return free;
+}
+
+/**
+ * Create a bot. Options:
+ *   baseUrl     server address, e.g. http://localhost:3000
+ *   name        nickname; the account email is derived from it
+ *   behaviour   one of BEHAVIOURS (default 'cooperative')
+ *   roomId      room to join (default 'main')
+ *   country     ISO country code for the account (default 'US')
+ *   tickMs      how often the board is polled (default 500)
+ *   onLevel     called with (level, at) when the bot sees the room reach a new level
+ */
+function createBot({ baseUrl, name, behaviour = 'cooperative', roomId = 'main', country = 'US', tickMs = 500, onLevel }) {
+  if (!BEHAVIOURS[behaviour]) throw new Error(`Unknown bot behaviour: ${behaviour}`);
+  const base = new URL(baseUrl);
+  const stats = {
+    requests: 0,
+    errors: {}, // Map of error code -> count
+    latencies: {}, // Map of route -> list of milliseconds
+    holds: 0,
+    releases: 0,
+  };
+  let token = null;
+  let playerId = null;
+  let level = null;
+  let tickTimer = null;
+  let heartbeatTimer = null;
+  let busy = false;
+
+  /**
+   * Send a JSON request and call back with (err, status, body).
+   */
+  function request(method, path, body, callback) {
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const route = path.split('?')[0];
+    const startedAt = process.hrtime.bigint();
+    const req = http.request({ hostname: base.hostname, port: base.port, path, method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const ms = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        stats.requests += 1;
+        (stats.latencies[route] = stats.latencies[route] || []).push(ms);
+        let data = null;
+        try {
+          data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (err) {
+          data = {};
+        }
+        if (res.statusCode >= 400) {
+          const code = data.code || `HTTP_${res.statusCode}`;
+          stats.errors[code] = (stats.errors[code] || 0) + 1;
+        }
+        callback(null, res.statusCode, data);
+      });
+    });
+    req.on('error', (err) => {
+      stats.errors[err.code || 'NETWORK_ERROR'] = (stats.errors[err.code || 'NETWORK_ERROR'] || 0) + 1;
+      callback(err);
+    });
+    req.end(payload);
+  }
+
+  /**
+   * Register the bot's account, or log in if it exists from an earlier run,
+   * and keep its session.
+   */
+  function signIn(callback) {
+    if (token) return process.nextTick(callback, null);
+    const email = `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}@bots.invalid`;
+    request('POST', '/register', { nickname: name, email, password: BOT_PASSWORD, country }, (err, status, data) => {
+      if (err) return callback(err);
+      const keep = (session) => {
+        token = session.token;
+        playerId = session.player.id;
+        callback(null);
+      };
+      if (data.success) return keep(data);
+      if (data.code !== 'EMAIL_TAKEN') return callback(new Error(`${name}: ${data.message}`));
+      request('POST', '/login', { email, password: BOT_PASSWORD }, (loginErr, loginStatus, loginData) => {
+        if (loginErr) return callback(loginErr);
+        if (!loginData.success) return callback(new Error(`${name}: ${loginData.message}`));
+        keep(loginData);
+      });
+    });
+  }
+
+  /**
+   * Poll the board and act on it. Skipped while the previous tick is running.
+   */
+  function tick() {
+    if (busy) return;
+    busy = true;
+    request('GET', `/board?room=${encodeURIComponent(roomId)}`, undefined, (err, status, board) => {
+      if (err || status !== 200) {
+        busy = false;
+        return;
+      }
+      if (board.level !== level) {
+        level = board.level;
+        if (onLevel) onLevel(level, Date.now());
+      }
+      const me = board.players.find((p) => p.id === playerId);
+      if (!me) {
+        busy = false;
+        return;
+      }
+      const holding = me.squareIndex !== null && me.squareIndex !== undefined;
+      const action = BEHAVIOURS[behaviour](board, me, holding);
+      const free = getFreeSquares(board, me);
+      if (action === 'hold' && free.length > 0) {
+        const squareIndex = free[Math.floor(Math.random() * free.length)];
+        request('POST', `/hold?room=${encodeURIComponent(roomId)}`, { squareIndex }, (holdErr, holdStatus) => {
+          if (holdStatus === 200) stats.holds += 1;
+          busy = false;
+        });
+      } else if (action === 'release') {
+        request('POST', `/release?room=${encodeURIComponent(roomId)}`, {}, (releaseErr, releaseStatus) => {
+          if (releaseStatus === 200) stats.releases += 1;
+          busy = false;
+        });
+      } else {
+        busy = false;
+      }
+    });
+  }
+
+  return {
+    name,
+    behaviour,
+    stats,
+
+    /**
+     * Sign in, join the room and start playing. Calls back once joined.
+     */
+    start(callback) {
+      signIn((err) => {
+        if (err) return callback(err);
+        request('POST', `/join?room=${encodeURIComponent(roomId)}`, {}, (joinErr, status, data) => {
+          if (joinErr) return callback(joinErr);
+          if (!data.success) return callback(new Error(`${name}: ${data.message}`));
+          tickTimer = setInterval(tick, tickMs);
+          heartbeatTimer = setInterval(() => {
+            request('POST', `/heartbeat?room=${encodeURIComponent(roomId)}`, {}, () => {});
+          }, HEARTBEAT_MS);
+          callback(null, data);
+        });
+      });
+    },
+
+    /**
+     * Stop playing and leave the room.
+     */
+    stop(callback) {
+      clearInterval(tickTimer);
+      clearInterval(heartbeatTimer);
+      if (!token) return process.nextTick(callback || (() => {}));
+      request('POST', `/leave?room=${encodeURIComponent(roomId)}`, {}, () => {
+        if (callback) callback();
+      });
+    },
+
+    signIn,
+
+    /**
+     * Send an authenticated request as this bot, e.g. to create a room.
+     */
+    request,
+  };
+}
+
+module.exports = {
+  BEHAVIOURS,
+  createBot,
+};
@@ -0,0 +1,83 @@
+/**
+ * Chat channels for Synergy Squares: one per room plus one for the lobby.
+ * History is short-lived and kept in memory only.
+ */
+
+// Quick signals players can send with one click, by id.
+const QUICK_SIGNALS = {
+  ready: 'Ready!',
+  countdown: 'Hold on 3… 2… 1…',
+  go: 'Everyone press now!',
+  wait: 'Wait for me!',
+  release: 'Let go!',
+};
+
+// Words masked by filterProfanity. Matched as whole words, case-insensitively.
+const BLOCKED_WORDS = ['ass', 'asshole', 'bastard', 'bitch', 'bollocks', 'cunt', 'dick', 'fuck', 'fucking', 'shit', 'slut', 'twat', 'wanker', 'whore'];
+const BLOCKED_PATTERN = new RegExp(`\\b(${BLOCKED_WORDS.join('|')})\\b`, 'gi');
+
+/**
+ * Replace blocked words with asterisks, keeping the first letter.
+ */
+function filterProfanity(text) {
+  return text.replace(BLOCKED_PATTERN, (word) => word[0] + '*'.repeat(word.length - 1));
+}
+
+/**
+ * Create a chat channel keeping at most historyLimit messages, none older than
+ * historyMs. Message ids increase within a channel, so clients can fetch what
+ * they have not seen with `since`. clock returns the current time in
+ * milliseconds (default Date.now).
+ */
+function createChatChannel({ historyLimit, historyMs, clock = Date.now }) {
+  let messages = [];
+  let nextId = 1;
+  const prune = () => {
+    const cutoff = clock() - historyMs;
+    const firstKept = messages.findIndex((m) => m.at > cutoff);
+    messages = firstKept === -1 ? [] : messages.slice(Math.max(firstKept, messages.length - historyLimit));
+  };
+  return {
+    /**
+     * Add a message from a player ({ id, nickname, country }). Text is
+     * filtered; a quick signal's text is its label. Returns the stored message.
+     */
+    post(player, { text, signal }) {
+      const message = {
+        id: nextId,
+        playerId: player.id,
+        nickname: player.nickname,
+        country: player.country,
+        text: signal ? QUICK_SIGNALS[signal] : filterProfanity(text),
+        signal: signal || null,
+        at: clock(),
+      };
+      nextId += 1;
+      messages.push(message);
+      prune();
+      return message;
+    },
+    /**
+     * Messages after id `since` (all kept ones by default), leaving out
+     * those from the given player ids.
+     */
+    list({ since, excludePlayers } = {}) {
+      prune();
+      const excluded = new Set(excludePlayers || []);
+      return messages.filter((m) => m.id > (since || 0) && !excluded.has(m.playerId));
+    },
+    /**
+     * Drop every message from a player, e.g. when their account is deleted.
+     */
+    removePlayer(playerId) {
+      messages = messages.filter((m) => m.playerId !== playerId);
+    },
+    prune,
+  };
+}
+
+module.exports = {
+  QUICK_SIGNALS,
+  filterProfanity,
+  createChatChannel,
+};
@@ -0,0 +1,100 @@
+const COUNTRIES = require('./countries.json');
+
+/**
+ * ISO 3166-1 alpha-2 country list and free-text normalization for Synergy
+ * Squares. Players store the two-letter code; names come from countries.json.
+ */
+
+// Common names and abbreviations that are not the ISO short name.
+const ALIASES = {
+  usa: 'US',
+  'united states of america': 'US',
+  america: 'US',
+  uk: 'GB',
+  'great britain': 'GB',
+  britain: 'GB',
+  england: 'GB',
+  scotland: 'GB',
+  wales: 'GB',
+  'northern ireland': 'GB',
+  holland: 'NL',
+  'the netherlands': 'NL',
+  turkey: 'TR',
+  'czech republic': 'CZ',
+  korea: 'KR',
+  'republic of korea': 'KR',
+  'russian federation': 'RU',
+  'ivory coast': 'CI',
+  swaziland: 'SZ',
+  macedonia: 'MK',
+  burma: 'MM',
+  'east timor': 'TL',
+  vatican: 'VA',
+  uae: 'AE',
+  drc: 'CD',
+  'democratic republic of the congo': 'CD',
+  'republic of the congo': 'CG',
+  'hong kong': 'HK',
+  macau: 'MO',
+  macao: 'MO',
+  palestine: 'PS',
+};
+
+const byCode = new Map(COUNTRIES.map((c) => [c.code, c]));
+
+/**
+ * Reduce a country name to a comparable key: lowercase, no accents or
+ * punctuation, "&" spelled out and "St." expanded.
+ */
+function nameKey(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .replace(/\bst\b/g, 'saint')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const byName = new Map();
+COUNTRIES.forEach((c) => {
+  byName.set(nameKey(c.name), c.code);
+  // "Hong Kong SAR China", "Myanmar (Burma)" and similar also match their first part.
+  const short = c.name.replace(/\s*\(.*\)$/, '').replace(/ SAR China$/, '');
+  if (short !== c.name) byName.set(nameKey(short), c.code);
+});
+Object.keys(ALIASES).forEach((alias) => byName.set(nameKey(alias), ALIASES[alias]));
+
+/**
+ * Whether code is a known ISO 3166-1 alpha-2 code (upper case).
+ */
+function isCountryCode(code) {
+  return typeof code === 'string' && byCode.has(code);
+}
+
+/**
+ * Resolve a code, name or common alias to an ISO code, or null.
+ */
+function normalizeCountry(input) {
+  if (typeof input !== 'string' || !input.trim()) return null;
+  const trimmed = input.trim();
+  if (/^[a-z]{2}$/i.test(trimmed) && byCode.has(trimmed.toUpperCase())) return trimmed.toUpperCase();
+  return byName.get(nameKey(trimmed)) || null;
+}
+
+/**
+ * English short name of a country code, or the code itself if unknown.
+ */
+function getCountryName(code) {
+  const country = byCode.get(code);
+  return country ? country.name : code;
+}
+
+module.exports = {
+  COUNTRIES,
+  isCountryCode,
+  normalizeCountry,
+  getCountryName,
+};
@@ -0,0 +1,66 @@
+/**
+ * Error codes of the Synergy Squares API.
+ * Every error response has the shape { success: false, code, message }, plus
+ * `details` for validation errors and `retryAfterMs` for rate limits. Clients
+ * should branch on `code`; `message` is meant for display.
+ */
+
+const ERRORS = {
+  // Request format
+  INVALID_JSON: { status: 400, message: 'Invalid JSON' },
+  BODY_TOO_LARGE: { status: 413, message: 'Request body too large' },
+  VALIDATION_FAILED: { status: 400, message: 'Invalid request' },
+  // Throttling
+  RATE_LIMITED: { status: 429, message: 'Too many requests, slow down' },
+  ACCOUNT_LOCKED: { status: 429, message: 'Too many failed logins, try again later' },
+  // Authentication and accounts
+  NOT_AUTHENTICATED: { status: 401, message: 'Not authenticated' },
+  INVALID_CREDENTIALS: { status: 401, message: 'Invalid credentials' },
+  ACCOUNT_BANNED: { status: 403, message: 'Account banned' },
+  ADMIN_ONLY: { status: 403, message: 'Admin only' },
+  EMAIL_TAKEN: { status: 400, message: 'Email already registered' },
+  UNKNOWN_COUNTRY: { status: 400, message: 'Unknown country' },
+  INVALID_RESET_TOKEN: { status: 400, message: 'Invalid or expired reset token' },
+  CANNOT_BAN_ADMIN: { status: 400, message: 'Admins cannot be banned' },
+  // Lookups
+  UNKNOWN_PLAYER: { status: 404, message: 'Unknown player' },
+  UNKNOWN_ROOM: { status: 404, message: 'Unknown room' },
+  UNKNOWN_ATTEMPT: { status: 404, message: 'Unknown attempt' },
+  UNKNOWN_WEBHOOK: { status: 404, message: 'Unknown webhook' },
+  UNKNOWN_SEASON: { status: 400, message: 'Unknown season' },
+  UNKNOWN_WINDOW: { status: 400, message: 'Unknown leaderboard window' },
+  INVALID_DATE_RANGE: { status: 400, message: 'Invalid date range' },
+  NOT_RANKED: { status: 404, message: 'Player not ranked' },
+  PLAYER_NOT_ONLINE: { status: 404, message: 'Player not online' },
+  // Rooms and play
+  INVITE_REQUIRED: { status: 403, message: 'Invite code required' },
+  KICKED: { status: 403, message: 'Kicked from this room' },
+  IN_QUEUE: { status: 403, message: 'Waiting in queue' },
+  SPECTATING: { status: 403, message: 'Spectators cannot hold squares, join the game to play' },
+  SQUAD_INCOMPLETE: { status: 403, message: 'Not enough players to start level' },
+  ALREADY_HOLDING: { status: 403, message: 'Player already holds a square' },
+  SQUARE_OCCUPIED: { status: 403, message: 'Square already occupied' },
+  INVALID_SQUARE: { status: 400, message: 'Invalid square index' },
+  OUT_OF_ORDER: { status: 403, message: 'Squares must be taken in order' },
+  COUNTRY_IN_ROW: { status: 403, message: 'A player from your country already holds a square in this row' },
+  NOT_A_TARGET: { status: 403, message: 'Only lit squares can be held' },
+  // Server
+  INTERNAL_ERROR: { status: 500, message: 'Something went wrong' },
+};
+
+/**
+ * Build the status and body of an error response. extra may override the
+ * message and add fields such as details or retryAfterMs.
+ */
+function errorResponse(code, extra) {
+  const known = ERRORS[code] || ERRORS.INTERNAL_ERROR;
+  return {
+    status: known.status,
+    body: Object.assign({ success: false, code: ERRORS[code] ? code : 'INTERNAL_ERROR', message: known.message }, extra),
+  };
+}
+
+module.exports = {
+  ERRORS,
+  errorResponse,
+};
@@ -0,0 +1,194 @@
+/**
+ * Game modes for Synergy Squares. A level's `mode` (see lib/levels.js) picks
+ * the rule its squad plays by:
+ *   classic   every playable square must be held together
+ *   ordered   squares must be taken in a set sequence
+ *   pattern   a target subset lights up; only those squares must be held
+ *   country   every square held, with no two holders in a row from one country
+ * Each mode provides:
+ *   name, description               shown to players
+ *   normalize(raw, def, fail)       the mode's own level fields, validated; fail(message) throws
+ *   resize(def, raw)                those fields for a copy of def resized to raw.squares / raw.blocked
+ *   squadSize(def)                  players in the squad (one per square that must be held)
+ *   startAttempt(def)               state of a new attempt, kept as room.modeState
+ *   checkHold(room, index, player)  error code if player may not take the free square now, else null
+ *   openSquares(room)               free squares that still need a holder, in the order to take them
+ *   isComplete(room)                whether the squad meets the level's goal
+ *   boardExtras(room)               mode fields added to the board state sent to clients
+ * room is a game server room: levelDef, occupied, squad, playersOnline, modeState.
+ */
+
+const DEFAULT_MODE = 'classic';
+
+/**
+ * Indices of the squares of a level that can be held.
+ */
+function playableSquares(def) {
+  const squares = [];
+  for (let i = 0; i < def.squares; i++) {
+    if (!def.blocked.includes(i)) squares.push(i);
+  }
+  return squares;
+}
+
+/**
+ * The squares of a list nobody holds.
+ */
+function freeSquares(room, squares) {
+  return squares.filter((i) => !room.occupied[i]);
+}
+
+/**
+ * Whether the squad is complete and holds every playable square.
+ */
+function everySquareHeld(room) {
+  const size = room.levelDef.playableCount;
+  return Object.keys(room.occupied).length === size && room.squad.length === size;
+}
+
+/**
+ * Check a list of square indices from a level entry: each must be playable
+ * and appear once.
+ */
+function checkSquareList(list, def, field, fail) {
+  if (!Array.isArray(list)) fail(`${field} must be an array`);
+  list.forEach((index) => {
+    if (!Number.isInteger(index) || index < 0 || index >= def.squares) fail(`${field} index ${index} is out of range`);
+    if (def.blocked.includes(index)) fail(`${field} square ${index} is blocked`);
+  });
+  if (new Set(list).size !== list.length) fail(`${field} indices must be unique`);
+}
+
+/**
+ * Squares held by players who share a country with another holder in the same
+ * row. Holders without a country never clash.
+ */
+function countryConflicts(room) {
+  const { columns } = room.levelDef;
+  const seen = {}; // Map of "row:country" -> squares held
+  Object.keys(room.occupied).forEach((key) => {
+    const holder = room.playersOnline[room.occupied[key]];
+    if (!holder || !holder.country) return;
+    const slot = `${Math.floor(Number(key) / columns)}:${holder.country}`;
+    (seen[slot] = seen[slot] || []).push(Number(key));
+  });
+  return Object.values(seen)
+    .filter((squares) => squares.length > 1)
+    .reduce((all, squares) => all.concat(squares), [])
+    .sort((a, b) => a - b);
+}
+
+const GAME_MODES = {
+  classic: {
+    name: 'Classic',
+    description: 'Hold every square together',
+    normalize: () => ({}),
+    resize: () => ({}),
+    squadSize: (def) => def.playableCount,
+    startAttempt: () => null,
+    checkHold: () => null,
+    openSquares: (room) => freeSquares(room, playableSquares(room.levelDef)),
+    isComplete: everySquareHeld,
+    boardExtras: () => ({}),
+  },
+
+  ordered: {
+    name: 'Ordered',
+    description: 'Take the squares in the numbered order',
+    // order lists squares in the sequence; playable squares it leaves out follow in index order.
+    normalize(raw, def, fail) {
+      const listed = raw.order === undefined ? [] : raw.order;
+      checkSquareList(listed, def, 'order', fail);
+      return { order: listed.concat(playableSquares(def).filter((i) => !listed.includes(i))) };
+    },
+    resize: (def, raw) => ({ order: def.order.filter((i) => i < raw.squares && !raw.blocked.includes(i)) }),
+    squadSize: (def) => def.playableCount,
+    startAttempt: () => null,
+    checkHold(room, squareIndex) {
+      return squareIndex === GAME_MODES.ordered.openSquares(room)[0] ? null : 'OUT_OF_ORDER';
+    },
+    openSquares(room) {
+      const next = room.levelDef.order.find((i) => !room.occupied[i]);
+      return next === undefined ? [] : [next];
+    },
+    isComplete: everySquareHeld,
+    boardExtras: (room) => ({ order: room.levelDef.order }),
+  },
+
+  pattern: {
+    name: 'Pattern',
+    description: 'Hold only the lit squares',
+    // targets fixes the lit squares; otherwise targetCount of them (default half
+    // the playable squares) are picked at random for every attempt.
+    normalize(raw, def, fail) {
+      if (raw.targets !== undefined && raw.targetCount !== undefined) fail('give either targets or targetCount');
+      if (raw.targets !== undefined) {
+        checkSquareList(raw.targets, def, 'targets', fail);
+        if (raw.targets.length === 0) fail('targets must not be empty');
+        return { targets: raw.targets.slice().sort((a, b) => a - b), targetCount: raw.targets.length };
+      }
+      const targetCount = raw.targetCount === undefined ? Math.ceil(def.playableCount / 2) : raw.targetCount;
+      if (!Number.isInteger(targetCount) || targetCount < 1 || targetCount > def.playableCount) {
+        fail('targetCount must be between 1 and the number of playable squares');
+      }
+      return { targets: null, targetCount };
+    },
+    resize(def, raw) {
+      const kept = (def.targets || []).filter((i) => i < raw.squares && !raw.blocked.includes(i));
+      if (kept.length > 0) return { targets: kept };
+      return { targetCount: Math.min(def.targetCount, raw.squares - raw.blocked.length) };
+    },
+    squadSize: (def) => def.targetCount,
+    startAttempt(def) {
+      if (def.targets) return { targets: def.targets };
+      const pool = playableSquares(def);
+      for (let i = pool.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+      }
+      return { targets: pool.slice(0, def.targetCount).sort((a, b) => a - b) };
+    },
+    checkHold: (room, squareIndex) => (room.modeState.targets.includes(squareIndex) ? null : 'NOT_A_TARGET'),
+    openSquares: (room) => freeSquares(room, room.modeState.targets),
+    isComplete(room) {
+      const { targets } = room.modeState;
+      return room.squad.length === targets.length && targets.every((i) => room.occupied[i]);
+    },
+    boardExtras: (room) => ({ targets: room.modeState.targets }),
+  },
+
+  country: {
+    name: 'Country',
+    description: 'Hold every square, with players from different countries in each row',
+    normalize: () => ({}),
+    resize: () => ({}),
+    squadSize: (def) => def.playableCount,
+    startAttempt: () => null,
+    checkHold(room, squareIndex, player) {
+      if (!player.country) return null;
+      const { columns } = room.levelDef;
+      const row = Math.floor(squareIndex / columns);
+      const clash = Object.keys(room.occupied).some((key) => {
+        const holder = room.playersOnline[room.occupied[key]];
+        return Math.floor(Number(key) / columns) === row && holder && holder.country === player.country;
+      });
+      return clash ? 'COUNTRY_IN_ROW' : null;
+    },
+    openSquares: (room) => freeSquares(room, playableSquares(room.levelDef)),
+    isComplete: (room) => everySquareHeld(room) && countryConflicts(room).length === 0,
+    boardExtras: (room) => ({ conflicts: countryConflicts(room) }),
+  },
+};
+
+/**
+ * The mode with an id, or undefined.
+ */
+function getGameMode(id) {
+  return Object.prototype.hasOwnProperty.call(GAME_MODES, id) ? GAME_MODES[id] : undefined;
+}
+
+module.exports = {
+  DEFAULT_MODE,
+  GAME_MODES,
+  getGameMode,
+};
@@ -0,0 +1,2999 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  verifySessionToken,
+  createResetToken,
+  hashResetToken,
+} = require('./auth');
+const { createJsonStorage } = require('./storage');
+const { createOutboxMailer } = require('./mailer');
+const { errorResponse } = require('./errors');
+const { validate } = require('./validate');
+const { SCHEMAS } = require('./schemas');
+const { createRateLimiter, createFailureLockout } = require('./rateLimit');
+const { QUICK_SIGNALS, createChatChannel } = require('./chat');
+const { evaluateAchievements, toPublicAchievement, listAchievements, updatePlayStreak } = require('./achievements');
+const { createWebhookDispatcher } = require('./webhooks');
+const { createLevels, loadLevels, resizeLevel } = require('./levels');
+const { getGameMode } = require('./gameModes');
+const {
+  getWindowRange,
+  countCompletions,
+  rankEntries,
+  rankCountries,
+  parsePaging,
+  paginate,
+  findWithNeighbours,
+} = require('./leaderboard');
+const { COUNTRIES, isCountryCode, normalizeCountry, getCountryName } = require('./countries');
+
+/**
+ * HTTP server for Synergy Squares game using only core Node.js modules.
+ * This server implements registration, login, leaderboard and real-time game logic,
+ * pushing board changes to clients over Server-Sent Events. No external dependencies
+ * or package installation is required.
+ *
+ * createGameServer(options) builds an independent server: all game state lives
+ * in the returned handle, so several can run in one process. server.js is the
+ * command-line wrapper that configures one from environment variables.
+ */
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Options of createGameServer. Options left undefined take these defaults.
+//   port                    port used by listen() when none is given
+//   dataDir                 directory of the JSON file storage and the mail outbox
+//   storage                 storage backend (see lib/storage.js); default JSON files in dataDir
+//   levels                  levels config ({ levels, fallback }, see lib/levels.js); default read from levelsFile
+//   levelsFile              levels file read when levels is not given
+//   publicDir               static files served to browsers
+//   mailer                  mailer for password resets (see lib/mailer.js); default an outbox in dataDir
+//   clock                   function returning the current time in ms; timers still run in real time
+//   sessionSecret           HMAC key for session tokens; random per server by default
+//   sessionTtlMs, resetTokenTtlMs
+//   adminEmails             emails whose accounts get the admin role
+//   publicUrl               base URL used in password reset links; default the request's Host
+//   attemptHistoryLimit, chatHistoryLimit, chatHistoryMs
+//   snapshotIntervalMs, idleTimeoutMs, roomIdleTimeoutMs, kickCooldownMs
+//   maxBodyBytes, rateLimitPerMinute, authRateLimitPerMinute, actionRateLimitPerMinute,
+//   chatRateLimitPerMinute, loginMaxFailures, loginLockoutMs
+//   webhookMaxAttempts, webhookRetryMs, webhookTimeoutMs
+//                           delivery attempts per webhook event, first retry delay and request timeout
+//   trustProxy              take the client IP from X-Forwarded-For
+//   botFill                 top rooms up with dev bots (see "Dev bots" below)
+const DEFAULT_OPTIONS = {
+  port: 3000,
+  dataDir: ROOT_DIR,
+  storage: null,
+  levels: null,
+  levelsFile: path.join(ROOT_DIR, 'levels.json'),
+  publicDir: path.join(ROOT_DIR, 'public'),
+  mailer: null,
+  clock: Date.now,
+  sessionSecret: null,
+  sessionTtlMs: 12 * 60 * 60 * 1000,
+  resetTokenTtlMs: 30 * 60 * 1000,
+  adminEmails: [],
+  publicUrl: null,
+  attemptHistoryLimit: 500,
+  chatHistoryLimit: 100,
+  chatHistoryMs: 15 * 60 * 1000,
+  snapshotIntervalMs: 10000,
+  idleTimeoutMs: 30000,
+  roomIdleTimeoutMs: 10 * 60 * 1000,
+  kickCooldownMs: 5 * 60 * 1000,
+  maxBodyBytes: 16 * 1024,
+  rateLimitPerMinute: 600,
+  authRateLimitPerMinute: 20,
+  actionRateLimitPerMinute: 120,
+  chatRateLimitPerMinute: 20,
+  loginMaxFailures: 5,
+  loginLockoutMs: 15 * 60 * 1000,
+  webhookMaxAttempts: 5,
+  webhookRetryMs: 2000,
+  webhookTimeoutMs: 5000,
+  trustProxy: false,
+  botFill: false,
+};
+
+/**
+ * Create a game server. See DEFAULT_OPTIONS for the options. Returns a handle:
+ *   server                  the http.Server (not listening until listen())
+ *   handleRequest(req, res) the request handler, to mount in another server
+ *   listen(port, callback)  start listening (port defaults to options.port)
+ *   close(callback)         end attempts, save state, stop timers and the server
+ *   getRooms(), getBoard(roomId), getPlayers(), getPlayer(id), createRoom({ name, isPrivate }),
+ *   saveGameState()         programmatic access to the game state
+ */
+function createGameServer(options = {}) {
+  const config = Object.assign({}, DEFAULT_OPTIONS);
+  Object.keys(options).forEach((key) => {
+    if (options[key] !== undefined) config[key] = options[key];
+  });
+  const { clock } = config;
+  // Intervals started below, stopped by close().
+  const timers = [];
+
+  // -----------------------------------------------------------------------------
+  // Helpers for persistent player storage
+  // -----------------------------------------------------------------------------
+
+  // Player accounts and game state snapshots go through the storage backend,
+  // by default JSON files in dataDir. See lib/storage.js for the interface.
+  const storage = config.storage || createJsonStorage({ dataDir: config.dataDir });
+
+  // Password reset mail goes through a mailer (see lib/mailer.js), by default
+  // one writing to an outbox directory in dataDir.
+  const mailer = config.mailer || createOutboxMailer({ outboxDir: path.join(config.dataDir, 'outbox') });
+
+  /**
+   * Save players array through the storage backend.
+   */
+  function savePlayers(players) {
+    storage.savePlayers(players);
+  }
+
+  let players = storage.loadPlayers();
+
+  /**
+   * Convert free-text countries saved before ISO codes were enforced ("USA",
+   * "United States", ...) to their ISO 3166 code. Records that cannot be matched
+   * keep their text and are reported so they can be fixed by hand.
+   */
+  function migrateCountries() {
+    let changed = false;
+    const unresolved = [];
+    players.forEach((p) => {
+      if (isCountryCode(p.country)) return;
+      const code = normalizeCountry(p.country);
+      if (code) {
+        p.country = code;
+        changed = true;
+      } else {
+        unresolved.push(`${p.id} (${p.country})`);
+      }
+    });
+    if (changed) savePlayers(players);
+    if (unresolved.length > 0) {
+      console.warn(`Players with unrecognised countries: ${unresolved.join(', ')}`);
+    }
+  }
+
+  migrateCountries();
+
+  // Accounts whose email is listed in the adminEmails option get the admin
+  // role, at startup and when they register.
+  const adminEmails = config.adminEmails.map((email) => email.trim().toLowerCase()).filter(Boolean);
+
+  /**
+   * Whether an email is listed in adminEmails.
+   */
+  function isAdminEmail(email) {
+    return adminEmails.includes(String(email).toLowerCase());
+  }
+
+  /**
+   * Promote existing accounts listed in adminEmails to admins.
+   */
+  function applyAdminEmails() {
+    let changed = false;
+    players.forEach((p) => {
+      if (p.role !== 'admin' && isAdminEmail(p.email)) {
+        p.role = 'admin';
+        changed = true;
+      }
+    });
+    if (changed) savePlayers(players);
+  }
+
+  applyAdminEmails();
+
+  /**
+   * Generate a unique player ID.
+   */
+  function generatePlayerId() {
+    return 'p_' + clock().toString(36) + Math.random().toString(36).substring(2, 8);
+  }
+
+  function getPlayerById(id) {
+    return players.find((p) => p.id === id);
+  }
+
+  /**
+   * Strip credentials from a player record before sending it to a client.
+   */
+  function toPublicPlayer(player) {
+    const { password, passwordHash, passwordSalt, passwordReset, sessionsValidAfter, ...publicPlayer } = player;
+    return publicPlayer;
+  }
+
+  /**
+   * Check a password against a player's stored hash (or a legacy plaintext
+   * password). Calls back with true when it matches.
+   */
+  function checkPassword(player, password, callback) {
+    if (!password) return callback(null, false);
+    if (player.passwordHash) return verifyPassword(password, player.passwordSalt, player.passwordHash, callback);
+    callback(null, typeof player.password === 'string' && player.password === password);
+  }
+
+  /**
+   * Hash and store a new password for a player, ending their existing sessions.
+   * Calls back once the player record is saved, with an error if it could not be.
+   */
+  function setPassword(player, password, callback) {
+    hashPassword(password, (err, hashed) => {
+      if (err) return callback(err);
+      player.passwordSalt = hashed.salt;
+      player.passwordHash = hashed.hash;
+      delete player.password;
+      player.sessionsValidAfter = clock();
+      try {
+        savePlayers(players);
+      } catch (saveErr) {
+        return callback(saveErr);
+      }
+      callback(null);
+    });
+  }
+
+  // -----------------------------------------------------------------------------
+  // Sessions
+  // -----------------------------------------------------------------------------
+
+  // Tokens are signed with this secret. Set sessionSecret to keep sessions valid
+  // across restarts; otherwise a random secret is generated per server. Tokens
+  // issued before a player's sessionsValidAfter (set when the password changes)
+  // are rejected.
+  const sessionSecret = config.sessionSecret || crypto.randomBytes(32).toString('hex');
+  const SESSION_TTL_MS = config.sessionTtlMs;
+  const RESET_TOKEN_TTL_MS = config.resetTokenTtlMs;
+  const revokedSessions = {}; // Map of sessionId -> expiresAt
+
+  /**
+   * Issue a new session token for a player.
+   */
+  function startSession(player) {
+    return createSessionToken(player.id, sessionSecret, SESSION_TTL_MS, clock());
+  }
+
+  /**
+   * Drop revocation entries whose tokens would have expired anyway.
+   */
+  function pruneRevokedSessions() {
+    const now = clock();
+    Object.keys(revokedSessions).forEach((sid) => {
+      if (revokedSessions[sid] <= now) delete revokedSessions[sid];
+    });
+  }
+
+  /**
+   * Resolve the session from the request's bearer token.
+   * Returns { sessionId, expiresAt, player } or null when unauthenticated.
+   */
+  function getSession(req) {
+    const header = req.headers.authorization || '';
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    return match ? getSessionFromToken(match[1]) : null;
+  }
+
+  /**
+   * Resolve the session of a session token, or null if it is not valid (any more).
+   */
+  function getSessionFromToken(token) {
+    const session = verifySessionToken(token, sessionSecret, clock());
+    if (!session || revokedSessions[session.sessionId]) return null;
+    const player = getPlayerById(session.playerId);
+    if (!player) return null;
+    if (player.sessionsValidAfter && session.issuedAt < player.sessionsValidAfter) return null;
+    return { sessionId: session.sessionId, expiresAt: session.expiresAt, player };
+  }
+
+  /**
+   * Resolve the session or answer 401 (403 for banned accounts). Returns null if
+   * the response was sent.
+   */
+  function requireSession(req, res) {
+    const session = getSession(req);
+    if (!session) {
+      writeError(res, 'NOT_AUTHENTICATED');
+      return null;
+    }
+    if (session.player.banned) {
+      writeError(res, 'ACCOUNT_BANNED');
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Resolve the session and require the admin role, or answer 401/403.
+   * Returns null if the response was sent.
+   */
+  function requireAdmin(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return null;
+    if (session.player.role !== 'admin') {
+      writeError(res, 'ADMIN_ONLY');
+      return null;
+    }
+    return session;
+  }
+
+  // -----------------------------------------------------------------------------
+  // Admin audit log
+  // -----------------------------------------------------------------------------
+
+  // Every admin action is appended to the audit log: { at, adminId, adminNickname, action, ...details }.
+  const auditLog = storage.loadAuditLog();
+
+  /**
+   * Record an admin action in the audit log.
+   */
+  function recordAudit(admin, action, details) {
+    const entry = Object.assign({ at: clock(), adminId: admin.id, adminNickname: admin.nickname, action }, details);
+    auditLog.push(entry);
+    storage.appendAuditLog(entry);
+    return entry;
+  }
+
+  // -----------------------------------------------------------------------------
+  // Webhooks
+  // -----------------------------------------------------------------------------
+
+  // Admins register webhooks (see lib/webhooks.js) for level completions, new
+  // leaderboard leaders and registrations. Webhooks are kept in storage; their
+  // delivery log lives in memory.
+  const webhooks = createWebhookDispatcher({
+    hooks: storage.loadWebhooks(),
+    onChange: (hooks) => storage.saveWebhooks(hooks),
+    maxAttempts: config.webhookMaxAttempts,
+    retryBaseMs: config.webhookRetryMs,
+    timeoutMs: config.webhookTimeoutMs,
+    clock,
+  });
+
+  /**
+   * Player fields sent in webhook payloads.
+   */
+  function toWebhookPlayer(player) {
+    return { id: player.id, nickname: player.nickname, country: player.country };
+  }
+
+  /**
+   * The all-time leaderboard leader, or null while nobody has completed a level.
+   */
+  function getLeader() {
+    const [first] = getRankedLeaderboard();
+    return first && first.levelsCompleted > 0 ? first : null;
+  }
+
+  /**
+   * Send 'leaderboard.leader' if the leader is no longer the one given.
+   */
+  function notifyLeaderChange(previous) {
+    const leader = getLeader();
+    if (!leader || (previous && previous.id === leader.id)) return;
+    webhooks.emit('leaderboard.leader', {
+      leader: Object.assign(toWebhookPlayer(leader), { levelsCompleted: leader.levelsCompleted }),
+      previous: previous ? Object.assign(toWebhookPlayer(previous), { levelsCompleted: previous.levelsCompleted }) : null,
+    });
+  }
+
+  // -----------------------------------------------------------------------------
+  // Level completion history and seasons
+  // -----------------------------------------------------------------------------
+
+  // Every level completion is kept as a timestamped event so leaderboards can be
+  // computed for any time window. Seasons partition that history: starting a new
+  // season archives the final standings of the current one.
+  const completions = storage.loadCompletions(); // { playerId, level, roomId, at }
+  let seasons = storage.loadSeasons();
+  if (!seasons) {
+    seasons = { current: { id: 1, name: 'Season 1', startedAt: clock() }, archived: [] };
+    storage.saveSeasons(seasons);
+  }
+
+  /**
+   * Record that a player completed a level.
+   */
+  function recordCompletion(playerId, level, roomId) {
+    const event = { playerId, level, roomId, at: clock() };
+    completions.push(event);
+    storage.appendCompletion(event);
+  }
+
+  /**
+   * Archive the current season with its final standings and start a new one.
+   */
+  function startSeason(name) {
+    const now = clock();
+    const finished = seasons.current;
+    seasons.archived.push(
+      Object.assign({}, finished, {
+        endedAt: now,
+        standings: getRankedLeaderboard({ range: { from: finished.startedAt, to: now } }),
+      })
+    );
+    const id = finished.id + 1;
+    seasons.current = { id, name: name || `Season ${id}`, startedAt: now };
+    storage.saveSeasons(seasons);
+    return seasons.current;
+  }
+
+  // -----------------------------------------------------------------------------
+  // Level attempt history
+  // -----------------------------------------------------------------------------
+
+  // An attempt is one go at a room's level: it starts with every square free
+  // when the room reaches the level (or retries it) and ends when the level is
+  // completed, runs out of time, is reset by an admin, or the room closes.
+  // Attempts record every join, hold, release and departure so they can be
+  // listed and replayed. Finished attempts are appended to storage; the most
+  // recent ATTEMPT_HISTORY_LIMIT are served.
+  const ATTEMPT_HISTORY_LIMIT = config.attemptHistoryLimit;
+  // Events past this count are dropped and the attempt is marked truncated.
+  const MAX_ATTEMPT_EVENTS = 10000;
+  const attemptHistory = storage.loadAttempts().slice(-ATTEMPT_HISTORY_LIMIT);
+
+  /**
+   * Begin a new attempt at a room's current level. The players already online
+   * are listed so a replay can show who was there from the start.
+   */
+  function startAttempt(room) {
+    const def = room.levelDef;
+    room.modeState = getGameMode(def.mode).startAttempt(def);
+    room.attempt = {
+      id: 'a_' + crypto.randomBytes(6).toString('hex'),
+      roomId: room.id,
+      roomName: room.name,
+      isPrivate: room.isPrivate,
+      level: room.currentLevel,
+      squaresCount: room.squaresCount,
+      layout: { columns: def.columns, rows: def.rows, blocked: def.blocked, special: def.special },
+      mode: getModeInfo(room),
+      holdMs: def.holdSeconds * 1000,
+      startedAt: clock(),
+      endedAt: null,
+      outcome: null,
+      initialPlayers: Object.values(room.playersOnline).map((p) => ({ id: p.id, nickname: p.nickname, country: p.country })),
+      events: [],
+      truncated: false,
+    };
+  }
+
+  /**
+   * Record an event in a room's current attempt: { at, type, ...data }.
+   * Types: join, leave, evict, kick, ban, hold, release, complete, fail.
+   */
+  function recordAttemptEvent(room, type, data) {
+    const attempt = room.attempt;
+    if (!attempt) return;
+    if (attempt.events.length >= MAX_ATTEMPT_EVENTS) {
+      attempt.truncated = true;
+      return;
+    }
+    attempt.events.push(Object.assign({ at: clock(), type }, data));
+  }
+
+  /**
+   * Finish a room's current attempt with an outcome ('completed', 'failed',
+   * 'reset', 'closed' or 'interrupted') and store it. Attempts in which nothing
+   * happened are dropped.
+   */
+  function endAttempt(room, outcome) {
+    const attempt = room.attempt;
+    room.attempt = null;
+    if (!attempt || attempt.events.length === 0) return;
+    attempt.endedAt = clock();
+    attempt.outcome = outcome;
+    attemptHistory.push(attempt);
+    if (attemptHistory.length > ATTEMPT_HISTORY_LIMIT) attemptHistory.shift();
+    try {
+      storage.appendAttempt(attempt);
+    } catch (err) {
+      console.error('Failed to save level attempt', err);
+    }
+    if (applyAttemptStats(attempt)) savePlayers(players);
+  }
+
+  /**
+   * Summary of an attempt for listings (everything but the events).
+   */
+  function getAttemptSummary(attempt) {
+    const playerIds = new Set(attempt.initialPlayers.map((p) => p.id));
+    attempt.events.forEach((e) => {
+      if (e.type === 'join') playerIds.add(e.playerId);
+    });
+    return {
+      id: attempt.id,
+      roomId: attempt.roomId,
+      roomName: attempt.roomName,
+      level: attempt.level,
+      squaresCount: attempt.squaresCount,
+      mode: attempt.mode ? attempt.mode.id : 'classic',
+      startedAt: attempt.startedAt,
+      endedAt: attempt.endedAt,
+      outcome: attempt.outcome,
+      eventCount: attempt.events.length,
+      playerCount: playerIds.size,
+      truncated: attempt.truncated,
+    };
+  }
+
+  // -----------------------------------------------------------------------------
+  // Player statistics
+  // -----------------------------------------------------------------------------
+
+  // Per-player statistics are kept on the player record (player.stats) and
+  // updated from the event log of every finished attempt:
+  //   attempts, completions   attempts the player held a square in, and how many were completed
+  //   highestLevel            highest level played; highestLevelCompleted likewise for completions
+  //   totalHoldMs, longestHoldMs
+  //   squareHolds             Map of squareIndex -> times held
+  //   teammates               Map of playerId -> attempts played together
+  // firstSeenAt and lastSeenAt on the player record track when they were online.
+
+  /**
+   * A player's stats object, created empty on first use.
+   */
+  function getPlayerStats(player) {
+    if (!player.stats) {
+      player.stats = {
+        attempts: 0,
+        completions: 0,
+        highestLevel: 0,
+        highestLevelCompleted: 0,
+        totalHoldMs: 0,
+        longestHoldMs: 0,
+        squareHolds: {},
+        teammates: {},
+      };
+    }
+    return player.stats;
+  }
+
+  /**
+   * Fold a finished attempt into the stats of every player who held a square
+   * in it. Holds still running when the attempt ended count until its end.
+   * Returns true if any player record changed.
+   */
+  function applyAttemptStats(attempt) {
+    const holds = []; // { playerId, squareIndex, ms }
+    const open = {}; // Map of playerId -> { squareIndex, at }
+    let squad = [];
+    const closeHold = (playerId, at) => {
+      const hold = open[playerId];
+      if (!hold) return;
+      holds.push({ playerId, squareIndex: hold.squareIndex, ms: at - hold.at });
+      delete open[playerId];
+    };
+    attempt.events.forEach((event) => {
+      if (event.type === 'hold') {
+        open[event.playerId] = { squareIndex: event.squareIndex, at: event.at };
+      } else if (['release', 'leave', 'evict', 'kick', 'ban'].includes(event.type)) {
+        closeHold(event.playerId, event.at);
+      } else if (event.type === 'complete') {
+        squad = event.squad || [];
+      }
+    });
+    Object.keys(open).forEach((playerId) => closeHold(playerId, attempt.endedAt));
+    const participants = Array.from(new Set(holds.map((h) => h.playerId))).filter((id) => getPlayerById(id));
+    if (participants.length === 0) return false;
+    const completed = attempt.outcome === 'completed';
+    participants.forEach((playerId) => {
+      const stats = getPlayerStats(getPlayerById(playerId));
+      stats.attempts += 1;
+      stats.highestLevel = Math.max(stats.highestLevel, attempt.level);
+      if (completed && squad.includes(playerId)) {
+        stats.completions += 1;
+        stats.highestLevelCompleted = Math.max(stats.highestLevelCompleted, attempt.level);
+      }
+      participants.forEach((otherId) => {
+        if (otherId !== playerId) stats.teammates[otherId] = (stats.teammates[otherId] || 0) + 1;
+      });
+    });
+    holds.forEach(({ playerId, squareIndex, ms }) => {
+      const player = getPlayerById(playerId);
+      if (!player) return;
+      const stats = getPlayerStats(player);
+      stats.totalHoldMs += ms;
+      stats.longestHoldMs = Math.max(stats.longestHoldMs, ms);
+      stats.squareHolds[squareIndex] = (stats.squareHolds[squareIndex] || 0) + 1;
+    });
+    return true;
+  }
+
+  /**
+   * Public profile of a player with stats derived from their game activity.
+   */
+  function getPlayerProfile(player) {
+    const stats = getPlayerStats(player);
+    const ranked = getRankedLeaderboard().find((entry) => entry.id === player.id);
+    const room = rooms[playerRooms[player.id]];
+    const topEntries = (map, count) =>
+      Object.keys(map)
+        .map((key) => [key, map[key]])
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, count);
+    return {
+      id: player.id,
+      nickname: player.nickname,
+      country: player.country,
+      role: player.role,
+      createdAt: player.createdAt || null,
+      levelsCompleted: player.levelsCompleted || 0,
+      rank: ranked ? ranked.rank : null,
+      highestLevel: stats.highestLevel,
+      highestLevelCompleted: stats.highestLevelCompleted,
+      attempts: stats.attempts,
+      completions: stats.completions,
+      completionRate: stats.attempts > 0 ? Math.round((stats.completions / stats.attempts) * 100) / 100 : null,
+      totalHoldMs: stats.totalHoldMs,
+      longestHoldMs: stats.longestHoldMs,
+      favouriteSquares: topEntries(stats.squareHolds, 3).map(([index, holds]) => ({ squareIndex: Number(index), holds })),
+      teammates: topEntries(stats.teammates, 5)
+        .filter(([id]) => getPlayerById(id))
+        .map(([id, attempts]) => {
+          const mate = getPlayerById(id);
+          return { id, nickname: mate.nickname, country: mate.country, attempts };
+        }),
+      achievements: listAchievements(player.achievements).filter((a) => a.unlockedAt),
+      firstSeenAt: player.firstSeenAt || null,
+      lastSeenAt: room ? clock() : player.lastSeenAt || null,
+      online: Boolean(room),
+      room: room && !room.isPrivate ? { id: room.id, name: room.name } : null,
+    };
+  }
+
+  // -----------------------------------------------------------------------------
+  // Achievements
+  // -----------------------------------------------------------------------------
+
+  // Achievement rules live in lib/achievements.js. They are checked when a level
+  // is completed (completeLevel), when a square is taken (handleHold) and when a
+  // hold ends (freeSquare). Unlocks are kept in player.achievements (Map of
+  // id -> unlockedAt) and announced to the room as 'achievement' events.
+  // player.playStreak counts the consecutive days on which the player held a square.
+
+  /**
+   * Unlock the achievements a trigger's facts earn a player and announce them
+   * to the room. Returns true if anything was unlocked; the caller saves players.
+   */
+  function unlockAchievements(room, player, trigger, facts) {
+    const earned = evaluateAchievements(trigger, facts, player.achievements);
+    if (earned.length === 0) return false;
+    player.achievements = player.achievements || {};
+    earned.forEach((achievement) => {
+      player.achievements[achievement.id] = clock();
+      broadcastEvent(room, 'achievement', {
+        playerId: player.id,
+        nickname: player.nickname,
+        achievement: toPublicAchievement(achievement),
+      });
+    });
+    return true;
+  }
+
+  /**
+   * Check the achievements for the end of an online player's hold.
+   */
+  function endHold(room, p) {
+    const { heldSince } = p;
+    p.heldSince = null;
+    const stored = getPlayerById(p.id);
+    if (!stored || !heldSince) return;
+    if (unlockAchievements(room, stored, 'holdEnd', { holdMs: clock() - heldSince })) savePlayers(players);
+  }
+
+  // -----------------------------------------------------------------------------
+  // Chat
+  // -----------------------------------------------------------------------------
+
+  // Every room has its own chat channel (room.chat) and the lobby has one more.
+  // Channels keep the last CHAT_HISTORY_LIMIT messages from the last
+  // CHAT_HISTORY_MS; history is live-only and is not restored on restart.
+  // Players can mute others: player.mutedPlayers lists the ids whose messages
+  // are left out of the chat history they fetch.
+  const CHAT_HISTORY_LIMIT = config.chatHistoryLimit;
+  const CHAT_HISTORY_MS = config.chatHistoryMs;
+  const lobbyChat = createChatChannel({ historyLimit: CHAT_HISTORY_LIMIT, historyMs: CHAT_HISTORY_MS, clock });
+
+  // -----------------------------------------------------------------------------
+  // Game state management
+  // -----------------------------------------------------------------------------
+
+  // Level layouts, hold durations and time limits come from the levels option
+  // or the levels file (levelsFile, default levels.json), validated at startup.
+  const levels = config.levels ? createLevels(config.levels) : loadLevels(config.levelsFile);
+
+  // Every room carries its own board:
+  //   currentLevel, levelDef (definition from the levels file), squaresCount
+  //   modeState     State of the level's game mode for the current attempt (see lib/gameModes.js)
+  //   occupied      Map of squareIndex -> playerId
+  //   playersOnline Map of playerId -> { id, nickname, country, role, levelsCompleted, squareIndex, lastSeen }
+  //   squad         Ordered playerIds playing the current level (levelDef.squadSize of them)
+  //   queue         Ordered playerIds waiting for a place in the squad
+  //   spectators    Map of playerId -> { id, nickname, country, role, lastSeen } for signed-in viewers
+  //   anonymousViewers  Number of open event streams watching without an account
+  // Spectators see the board but take no place in the squad or the queue.
+  const rooms = {}; // Map of roomId -> room
+  const playerRooms = {}; // Map of playerId -> roomId the player is online in
+  const DEFAULT_ROOM_ID = 'main';
+  // Room progress is snapshotted every SNAPSHOT_INTERVAL_MS when it has changed,
+  // immediately on level completion, and on shutdown. Online rosters, squads and
+  // held squares are live-only and are not restored.
+  const SNAPSHOT_INTERVAL_MS = config.snapshotIntervalMs;
+  let gameStateDirty = false;
+
+  // Players who have not been seen (heartbeat or game request) for IDLE_TIMEOUT_MS
+  // are evicted from playersOnline; after AWAY_AFTER_MS they are shown as away.
+  const IDLE_TIMEOUT_MS = config.idleTimeoutMs;
+  const AWAY_AFTER_MS = Math.floor(IDLE_TIMEOUT_MS / 2);
+  const PRESENCE_SWEEP_MS = 5000;
+  // Rooms other than the default one are closed after staying empty this long.
+  const ROOM_IDLE_TIMEOUT_MS = config.roomIdleTimeoutMs;
+  // A player kicked by an admin cannot come back into the room for this long.
+  const KICK_COOLDOWN_MS = config.kickCooldownMs;
+
+  /**
+   * Create a room with a fresh level 1 board and register it.
+   */
+  function createRoom({ id, name, isPrivate, ownerId }) {
+    const room = {
+      id: id || 'r_' + crypto.randomBytes(6).toString('hex'),
+      name,
+      isPrivate: Boolean(isPrivate),
+      inviteCode: isPrivate ? crypto.randomBytes(4).toString('hex').toUpperCase() : null,
+      ownerId: ownerId || null,
+      createdAt: clock(),
+      members: {}, // Map of playerId -> true for players admitted to a private room
+      currentLevel: 1,
+      levelDef: levels.get(1),
+      squaresCount: levels.get(1).squares,
+      squaresOverride: null, // Square count set by an admin for the current level
+      modeState: null,
+      kickedUntil: {}, // Map of playerId -> time until which a kicked player is kept out
+      occupied: {},
+      playersOnline: {},
+      squad: [],
+      queue: [],
+      spectators: {},
+      anonymousViewers: 0,
+      chat: createChatChannel({ historyLimit: CHAT_HISTORY_LIMIT, historyMs: CHAT_HISTORY_MS, clock }),
+      eventClients: new Map(), // Map of open /events response -> playerId (null for guests)
+      lastBroadcastState: null,
+      emptySince: clock(),
+      fullSince: null, // When every square became held, while the countdown runs
+      holdTimer: null,
+      finalHolderId: null, // Player whose hold made every square held
+      attemptStartedAt: null, // When the squad filled up, for levels with a time limit
+      attemptTimer: null,
+      attempt: null, // Event log of the current level attempt
+    };
+    if (ownerId) room.members[ownerId] = true;
+    startAttempt(room);
+    room.lastBroadcastState = getBoardState(room);
+    rooms[room.id] = room;
+    markGameStateDirty();
+    return room;
+  }
+
+  createRoom({ id: DEFAULT_ROOM_ID, name: 'Main board' });
+
+  /**
+   * Find a room by its invite code (case-insensitive).
+   */
+  function getRoomByInviteCode(code) {
+    const wanted = String(code || '').toUpperCase();
+    return Object.values(rooms).find((r) => r.inviteCode && r.inviteCode === wanted) || null;
+  }
+
+  /**
+   * Whether a player may enter a room: public rooms are open, private rooms need
+   * the player to have joined with the invite code before.
+   */
+  function canEnterRoom(room, playerId) {
+    return !room.isPrivate || Boolean(room.members[playerId]);
+  }
+
+  /**
+   * Summary of a room for the lobby list. Invite codes are only included when
+   * requested, i.e. for members of the room.
+   */
+  function getRoomSummary(room, includeInvite) {
+    const summary = {
+      id: room.id,
+      name: room.name,
+      isPrivate: room.isPrivate,
+      level: room.currentLevel,
+      squaresCount: room.squaresCount,
+      requiredPlayers: room.levelDef.squadSize,
+      mode: room.levelDef.mode,
+      playersOnline: Object.keys(room.playersOnline).length,
+      spectatorCount: getSpectatorCount(room),
+    };
+    if (includeInvite && room.inviteCode) summary.inviteCode = room.inviteCode;
+    return summary;
+  }
+
+  /**
+   * Number of people watching a room without playing, signed in or not.
+   */
+  function getSpectatorCount(room) {
+    return Object.keys(room.spectators).length + room.anonymousViewers;
+  }
+
+  /**
+   * Presence status of an online player: 'online' or 'away'.
+   */
+  function getPresence(p, now) {
+    return now - p.lastSeen >= AWAY_AFTER_MS ? 'away' : 'online';
+  }
+
+  /**
+   * Move a room to a level, loading its definition from the levels file. An
+   * admin may override the square count; the override lasts for this level only.
+   */
+  function setRoomLevel(room, level, squaresOverride) {
+    const def = levels.get(level);
+    room.currentLevel = level;
+    room.squaresOverride = squaresOverride && squaresOverride !== def.squares ? squaresOverride : null;
+    room.levelDef = room.squaresOverride ? resizeLevel(def, room.squaresOverride) : def;
+    room.squaresCount = room.levelDef.squares;
+  }
+
+  /**
+   * Why a player (null for guests) may not watch a room or read its chat:
+   * 'ACCOUNT_BANNED', 'KICKED' or 'INVITE_REQUIRED'. Null if they may.
+   */
+  function getRoomAccessError(room, playerId) {
+    const player = playerId ? getPlayerById(playerId) : null;
+    if (player && player.banned) return 'ACCOUNT_BANNED';
+    if (playerId && isKickedFrom(room, playerId)) return 'KICKED';
+    if (!canEnterRoom(room, playerId)) return 'INVITE_REQUIRED';
+    return null;
+  }
+
+  /**
+   * Whether a player is still kept out of a room after being kicked.
+   */
+  function isKickedFrom(room, playerId) {
+    const until = room.kickedUntil[playerId];
+    if (!until) return false;
+    if (until > clock()) return true;
+    delete room.kickedUntil[playerId];
+    return false;
+  }
+
+  /**
+   * Whether a square can be held on the room's current level.
+   */
+  function isPlayableSquare(room, squareIndex) {
+    return (
+      Number.isInteger(squareIndex) &&
+      squareIndex >= 0 &&
+      squareIndex < room.squaresCount &&
+      !room.levelDef.blocked.includes(squareIndex)
+    );
+  }
+
+  /**
+   * The game mode of a room's level as sent to clients: { id, name,
+   * description } plus the mode's board extras.
+   */
+  function getModeInfo(room) {
+    const mode = getGameMode(room.levelDef.mode);
+    return Object.assign(
+      { id: room.levelDef.mode, name: mode.name, description: mode.description },
+      mode.boardExtras(room)
+    );
+  }
+
+  /**
+   * Build board state of a room to send to clients. Each player is marked
+   * 'active' (in the squad) or 'waiting' with their 1-based queue position.
+   * While the squad holds every square, countdown reports the shared progress;
+   * on timed levels timeRemainingMs counts down from when the squad filled up.
+   */
+  function getBoardState(room) {
+    const now = clock();
+    const def = room.levelDef;
+    const holdMs = def.holdSeconds * 1000;
+    let countdown = null;
+    if (room.fullSince !== null) {
+      const elapsedMs = Math.min(now - room.fullSince, holdMs);
+      countdown = { elapsedMs, remainingMs: holdMs - elapsedMs };
+    }
+    const timeLimitMs = def.timeLimitSeconds === null ? null : def.timeLimitSeconds * 1000;
+    let timeRemainingMs = null;
+    if (timeLimitMs !== null && room.attemptStartedAt !== null) {
+      timeRemainingMs = Math.max(0, timeLimitMs - (now - room.attemptStartedAt));
+    }
+    return {
+      room: { id: room.id, name: room.name, isPrivate: room.isPrivate },
+      level: room.currentLevel,
+      squaresCount: room.squaresCount,
+      requiredPlayers: def.squadSize,
+      layout: { columns: def.columns, rows: def.rows, blocked: def.blocked, special: def.special },
+      mode: getModeInfo(room),
+      holdMs,
+      countdown,
+      timeLimitMs,
+      timeRemainingMs,
+      occupied: Object.assign({}, room.occupied),
+      activeCount: room.squad.length,
+      waitingCount: room.queue.length,
+      spectatorCount: getSpectatorCount(room),
+      spectators: Object.values(room.spectators).map((s) => ({ id: s.id, nickname: s.nickname, country: s.country })),
+      players: Object.values(room.playersOnline).map((p) => {
+        const queueIndex = room.queue.indexOf(p.id);
+        return {
+          id: p.id,
+          nickname: p.nickname,
+          country: p.country,
+          squareIndex: p.squareIndex,
+          isBot: isBot(p.id),
+          presence: getPresence(p, now),
+          status: queueIndex === -1 ? 'active' : 'waiting',
+          queuePosition: queueIndex === -1 ? null : queueIndex + 1,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Keep the squad at one player per square the level's game mode needs held:
+   * promote from the front of the queue while there is room, and move any
+   * surplus squad members (and their squares) back to the front of the queue.
+   */
+  function rebalanceSquad(room) {
+    const size = room.levelDef.squadSize;
+    while (room.squad.length > size) {
+      const playerId = room.squad.pop();
+      const p = room.playersOnline[playerId];
+      if (p) freeSquare(room, p);
+      room.queue.unshift(playerId);
+    }
+    while (room.squad.length < size && room.queue.length > 0) {
+      room.squad.push(room.queue.shift());
+    }
+    updateAttemptTimer(room);
+  }
+
+  /**
+   * Whether a player is in the room's active squad.
+   */
+  function isInSquad(room, playerId) {
+    return room.squad.includes(playerId);
+  }
+
+  /**
+   * Remove a player from a room's playersOnline (or its spectators), freeing any
+   * square they hold. cause ('leave', 'evict', 'kick' or 'ban') is recorded in
+   * the attempt log for players. Returns true if the player was in the room.
+   */
+  function removeOnline(room, playerId, cause) {
+    if (room.spectators[playerId]) {
+      delete room.spectators[playerId];
+      if (playerRooms[playerId] === room.id) delete playerRooms[playerId];
+      return true;
+    }
+    const p = room.playersOnline[playerId];
+    if (!p) return false;
+    recordAttemptEvent(room, cause || 'leave', { playerId });
+    freeSquare(room, p);
+    delete room.playersOnline[playerId];
+    room.squad = room.squad.filter((id) => id !== playerId);
+    room.queue = room.queue.filter((id) => id !== playerId);
+    rebalanceSquad(room);
+    updateHoldCountdown(room);
+    if (playerRooms[playerId] === room.id) delete playerRooms[playerId];
+    if (Object.keys(room.playersOnline).length === 0) room.emptySince = clock();
+    return true;
+  }
+
+  /**
+   * Evict players and spectators whose last heartbeat is older than
+   * IDLE_TIMEOUT_MS and close rooms that have been empty for ROOM_IDLE_TIMEOUT_MS.
+   */
+  function evictIdlePlayers() {
+    const now = clock();
+    Object.values(rooms).forEach((room) => {
+      Object.values(room.playersOnline)
+        .concat(Object.values(room.spectators))
+        .forEach((p) => {
+          if (now - p.lastSeen >= IDLE_TIMEOUT_MS) {
+            removeOnline(room, p.id, 'evict');
+          }
+        });
+      broadcastBoard(room);
+      const isEmpty =
+        Object.keys(room.playersOnline).length === 0 &&
+        Object.keys(room.spectators).length === 0 &&
+        room.eventClients.size === 0;
+      if (room.id !== DEFAULT_ROOM_ID && isEmpty && now - room.emptySince >= ROOM_IDLE_TIMEOUT_MS) {
+        endAttempt(room, 'closed');
+        delete rooms[room.id];
+        markGameStateDirty();
+      }
+    });
+  }
+
+  timers.push(setInterval(guardTimer(evictIdlePlayers), PRESENCE_SWEEP_MS));
+
+  /**
+   * Check whether the current level of a room is complete, by its game mode's rule.
+   */
+  function checkLevelCompletion(room) {
+    return getGameMode(room.levelDef.mode).isComplete(room);
+  }
+
+  /**
+   * Stop the time limit clock of the current attempt.
+   */
+  function clearAttemptTimer(room) {
+    if (room.attemptTimer) clearTimeout(room.attemptTimer);
+    room.attemptTimer = null;
+    room.attemptStartedAt = null;
+  }
+
+  /**
+   * On timed levels, start the clock when the squad fills up and stop it when
+   * the squad loses a player. When time runs out every square is released and
+   * a new attempt starts.
+   */
+  function updateAttemptTimer(room) {
+    const limitSeconds = room.levelDef.timeLimitSeconds;
+    const squadFull = room.squad.length === room.levelDef.squadSize;
+    if (limitSeconds === null || !squadFull) {
+      clearAttemptTimer(room);
+      return;
+    }
+    if (room.attemptStartedAt !== null) return;
+    room.attemptStartedAt = clock();
+    room.attemptTimer = setTimeout(
+      guardTimer(() => {
+        room.attemptTimer = null;
+        room.attemptStartedAt = null;
+        failAttempt(room);
+      }),
+      limitSeconds * 1000
+    );
+  }
+
+  /**
+   * Free an online player's square, if they hold one. Ending the hold may
+   * unlock an achievement.
+   */
+  function freeSquare(room, p) {
+    if (p.squareIndex === null || p.squareIndex === undefined) return;
+    if (room.occupied[p.squareIndex] === p.id) delete room.occupied[p.squareIndex];
+    p.squareIndex = null;
+    endHold(room, p);
+  }
+
+  /**
+   * Free every square of a room.
+   */
+  function clearSquares(room) {
+    room.occupied = {};
+    Object.values(room.playersOnline).forEach((p) => freeSquare(room, p));
+  }
+
+  /**
+   * End an attempt that ran out of time: free every square and start over.
+   */
+  function failAttempt(room) {
+    recordAttemptEvent(room, 'fail', { reason: 'timeLimit' });
+    endAttempt(room, 'failed');
+    clearSquares(room);
+    startAttempt(room);
+    updateHoldCountdown(room);
+    broadcastEvent(room, 'levelFailed', { level: room.currentLevel, reason: 'timeLimit' });
+    updateAttemptTimer(room);
+    broadcastBoard(room);
+  }
+
+  /**
+   * Start the level's hold countdown when every square becomes held, and cancel
+   * it as soon as that stops being true. The level completes when the countdown
+   * runs out. Returns true if the level was completed right away (no hold time).
+   */
+  function updateHoldCountdown(room) {
+    const full = checkLevelCompletion(room);
+    if (!full) {
+      if (room.holdTimer) clearTimeout(room.holdTimer);
+      room.holdTimer = null;
+      room.fullSince = null;
+      return false;
+    }
+    if (room.fullSince !== null) return false;
+    const holdMs = room.levelDef.holdSeconds * 1000;
+    if (holdMs === 0) {
+      completeLevel(room);
+      return true;
+    }
+    room.fullSince = clock();
+    room.holdTimer = setTimeout(
+      guardTimer(() => {
+        room.holdTimer = null;
+        if (checkLevelCompletion(room)) {
+          completeLevel(room);
+        } else {
+          room.fullSince = null;
+          broadcastBoard(room);
+        }
+      }),
+      holdMs
+    );
+    return false;
+  }
+
+  /**
+   * Handle completion of a room's level: update player stats, increase level & squares.
+   * The finishing squad goes to the back of the queue so waiting players are
+   * promoted first for the next level.
+   */
+  function completeLevel(room) {
+    // Update levelsCompleted for players occupying squares.
+    const holders = Object.values(room.playersOnline).filter((p) => p.squareIndex !== null && p.squareIndex !== undefined);
+    const countries = new Set(holders.map((p) => p.country)).size;
+    const previousLeader = getLeader();
+    holders.forEach((p) => {
+      const stored = getPlayerById(p.id);
+      if (stored) {
+        stored.levelsCompleted = (stored.levelsCompleted || 0) + 1;
+        stored.levelsReachedAt = clock();
+        recordCompletion(p.id, room.currentLevel, room.id);
+        unlockAchievements(room, stored, 'complete', { countries, finalHolder: p.id === room.finalHolderId });
+      }
+      p.levelsCompleted = (p.levelsCompleted || 0) + 1;
+    });
+    room.finalHolderId = null;
+    savePlayers(players);
+    webhooks.emit('level.completed', {
+      roomId: room.id,
+      roomName: room.name,
+      level: room.currentLevel,
+      mode: room.levelDef.mode,
+      squaresCount: room.squaresCount,
+      durationMs: room.attempt ? clock() - room.attempt.startedAt : null,
+      // Dev bots have no account, so only the humans of the squad are reported.
+      squad: holders.filter((p) => !isBot(p.id)).map(toWebhookPlayer),
+    });
+    notifyLeaderChange(previousLeader);
+    recordAttemptEvent(room, 'complete', { squad: room.squad.slice() });
+    endAttempt(room, 'completed');
+    setRoomLevel(room, room.currentLevel + 1);
+    clearSquares(room);
+    startAttempt(room);
+    clearAttemptTimer(room);
+    room.queue = room.queue.concat(room.squad);
+    room.squad = [];
+    rebalanceSquad(room);
+    updateHoldCountdown(room);
+    saveGameState();
+    broadcastEvent(room, 'levelCompleted', {
+      level: room.currentLevel - 1,
+      nextLevel: room.currentLevel,
+      squaresCount: room.squaresCount,
+    });
+    broadcastBoard(room);
+  }
+
+  // -----------------------------------------------------------------------------
+  // Dev bots
+  // -----------------------------------------------------------------------------
+
+  // With the botFill option every room with at least one human player in it is
+  // topped up with bots until the squad is full, so big levels can be tried
+  // without recruiting a full squad. Bots hold a free square the level's game
+  // mode lets them take as soon as the squad is complete and make way when
+  // humans need their places. They exist only in the room state: they have no
+  // account, earn no completions or stats, and are marked isBot on the board.
+  // Meant for development only.
+  const BOT_TICK_MS = 1000;
+  const BOT_ID_PREFIX = 'bot_';
+
+  /**
+   * Whether a playersOnline id belongs to a dev bot.
+   */
+  function isBot(playerId) {
+    return playerId.startsWith(BOT_ID_PREFIX);
+  }
+
+  /**
+   * Add or remove bots so that humans and bots together fill the squad, then
+   * let every bot in a complete squad take a free square. Returns true if the
+   * room changed.
+   */
+  function fillWithBots(room) {
+    const online = Object.keys(room.playersOnline);
+    const bots = online.filter(isBot);
+    const humans = online.length - bots.length;
+    const wanted = humans === 0 ? 0 : Math.max(0, room.levelDef.squadSize - humans);
+    let changed = false;
+    // Drop the newest bots first; they are the ones still waiting in the queue.
+    bots.slice(wanted).forEach((id) => {
+      changed = removeOnline(room, id, 'leave') || changed;
+    });
+    for (let i = bots.length; i < wanted; i++) {
+      const id = BOT_ID_PREFIX + crypto.randomBytes(4).toString('hex');
+      ensureOnline(room, { id, nickname: `Bot ${id.slice(-4)}`, country: null, role: 'bot' });
+      changed = true;
+    }
+    Object.keys(room.playersOnline)
+      .filter(isBot)
+      .forEach((id) => {
+        room.playersOnline[id].lastSeen = clock();
+      });
+    if (room.squad.length !== room.levelDef.squadSize) return changed;
+    const mode = getGameMode(room.levelDef.mode);
+    room.squad.filter(isBot).forEach((id) => {
+      const bot = room.playersOnline[id];
+      if (bot.squareIndex !== null) return;
+      const squareIndex = mode.openSquares(room).find((i) => !mode.checkHold(room, i, bot));
+      if (squareIndex === undefined) return;
+      room.occupied[squareIndex] = id;
+      bot.squareIndex = squareIndex;
+      recordAttemptEvent(room, 'hold', { playerId: id, squareIndex });
+      changed = true;
+    });
+    if (changed) updateHoldCountdown(room);
+    return changed;
+  }
+
+  if (config.botFill) {
+    timers.push(
+      setInterval(
+        guardTimer(() => {
+          Object.values(rooms).forEach((room) => {
+            if (fillWithBots(room)) broadcastBoard(room);
+          });
+        }),
+        BOT_TICK_MS
+      )
+    );
+  }
+
+  // -----------------------------------------------------------------------------
+  // Game state persistence
+  // -----------------------------------------------------------------------------
+
+  /**
+   * Flag the game state as changed so the next snapshot tick saves it.
+   */
+  function markGameStateDirty() {
+    gameStateDirty = true;
+  }
+
+  /**
+   * Build the persistent part of the game state.
+   */
+  function snapshotGameState() {
+    return {
+      version: 1,
+      savedAt: clock(),
+      rooms: Object.values(rooms).map((room) => ({
+        id: room.id,
+        name: room.name,
+        isPrivate: room.isPrivate,
+        inviteCode: room.inviteCode,
+        ownerId: room.ownerId,
+        createdAt: room.createdAt,
+        members: Object.keys(room.members),
+        currentLevel: room.currentLevel,
+        squaresCount: room.squaresCount,
+        squaresOverride: room.squaresOverride,
+      })),
+    };
+  }
+
+  /**
+   * Save a snapshot of the game state now.
+   */
+  function saveGameState() {
+    try {
+      storage.saveGameState(snapshotGameState());
+      gameStateDirty = false;
+    } catch (err) {
+      console.error('Failed to save game state', err);
+    }
+  }
+
+  /**
+   * Recreate rooms and their progress from a saved snapshot.
+   */
+  function restoreGameState(state) {
+    if (!state || !Array.isArray(state.rooms)) return;
+    state.rooms.forEach((saved) => {
+      const room = rooms[saved.id] || createRoom({
+        id: saved.id,
+        name: saved.name,
+        isPrivate: saved.isPrivate,
+        ownerId: saved.ownerId,
+      });
+      room.inviteCode = saved.inviteCode || null;
+      room.createdAt = saved.createdAt || room.createdAt;
+      (saved.members || []).forEach((playerId) => {
+        room.members[playerId] = true;
+      });
+      setRoomLevel(room, saved.currentLevel || 1, saved.squaresOverride);
+      endAttempt(room, 'reset');
+      startAttempt(room);
+      room.lastBroadcastState = getBoardState(room);
+    });
+  }
+
+  restoreGameState(storage.loadGameState());
+
+  timers.push(
+    setInterval(() => {
+      if (gameStateDirty) saveGameState();
+    }, SNAPSHOT_INTERVAL_MS)
+  );
+
+  // -----------------------------------------------------------------------------
+  // Live board updates (Server-Sent Events)
+  // -----------------------------------------------------------------------------
+
+  const KEEPALIVE_MS = 25000;
+
+  /**
+   * Return the top-level board fields whose value differs between two states.
+   */
+  function diffBoardState(prev, next) {
+    const diff = {};
+    Object.keys(next).forEach((key) => {
+      if (!prev || JSON.stringify(prev[key]) !== JSON.stringify(next[key])) {
+        diff[key] = next[key];
+      }
+    });
+    return diff;
+  }
+
+  /**
+   * Write a single SSE event to one client.
+   */
+  function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Send an event to every client watching a room, or only to those whose
+   * player id (null for guests) passes canReceive.
+   */
+  function broadcastEvent(room, event, data, canReceive) {
+    room.eventClients.forEach((playerId, res) => {
+      if (!canReceive || canReceive(playerId)) sendEvent(res, event, data);
+    });
+  }
+
+  /**
+   * Push the changed parts of a room's board to every client watching it.
+   * Call after any change to level, squares, occupancy or the online roster.
+   */
+  function broadcastBoard(room) {
+    const state = getBoardState(room);
+    const diff = diffBoardState(room.lastBroadcastState, state);
+    room.lastBroadcastState = state;
+    if (Object.keys(diff).length === 0) return;
+    broadcastEvent(room, 'diff', diff);
+  }
+
+  /**
+   * Handle event stream endpoint: send a full board snapshot, then diffs.
+   * Streams opened with ?watch=1 are anonymous viewers and count as spectators.
+   * EventSource cannot send headers, so signed-in players pass their session
+   * token as ?token=; private rooms are only streamed to their members, and
+   * kicked or banned players are refused like on the other room endpoints.
+   */
+  function handleEvents(req, res) {
+    const room = requireRoom(req, res);
+    if (!room) return;
+    const urlObj = new URL(req.url, `http://${req.headers.host}`);
+    const isAnonymous = urlObj.searchParams.get('watch') === '1';
+    const token = urlObj.searchParams.get('token');
+    const session = token ? getSessionFromToken(token) : null;
+    const playerId = session ? session.player.id : null;
+    const accessError = getRoomAccessError(room, playerId);
+    if (accessError) return writeError(res, accessError);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Access-Control-Allow-Origin': '*',
+    });
+    res.write('retry: 3000\n\n');
+    sendEvent(res, 'board', getBoardState(room));
+    room.eventClients.set(res, playerId);
+    if (isAnonymous) {
+      room.anonymousViewers += 1;
+      broadcastBoard(room);
+    }
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+    req.on('close', () => {
+      clearInterval(keepalive);
+      room.eventClients.delete(res);
+      if (isAnonymous) {
+        room.anonymousViewers -= 1;
+        broadcastBoard(room);
+      }
+    });
+  }
+
+  // -----------------------------------------------------------------------------
+  // Request limits
+  // -----------------------------------------------------------------------------
+
+  // JSON bodies larger than maxBodyBytes are refused with 413.
+  const MAX_BODY_BYTES = config.maxBodyBytes;
+  // Every client IP may make rateLimitPerMinute requests a minute, and
+  // authRateLimitPerMinute of them to the login, registration and password
+  // reset routes. Each account may send actionRateLimitPerMinute hold and
+  // release requests and chatRateLimitPerMinute chat messages a minute.
+  const ipLimiter = createRateLimiter({ windowMs: 60000, max: config.rateLimitPerMinute, clock });
+  const authLimiter = createRateLimiter({ windowMs: 60000, max: config.authRateLimitPerMinute, clock });
+  const actionLimiter = createRateLimiter({ windowMs: 60000, max: config.actionRateLimitPerMinute, clock });
+  const chatLimiter = createRateLimiter({ windowMs: 60000, max: config.chatRateLimitPerMinute, clock });
+  const AUTH_ROUTES = ['/login', '/register', '/account/reset-request', '/account/reset'];
+  // After loginMaxFailures wrong passwords in a row an account cannot log in
+  // for loginLockoutMs.
+  const loginLockout = createFailureLockout({ maxFailures: config.loginMaxFailures, lockMs: config.loginLockoutMs, clock });
+
+  timers.push(
+    setInterval(() => {
+      [ipLimiter, authLimiter, actionLimiter, chatLimiter, loginLockout].forEach((limiter) => limiter.prune());
+    }, 60000)
+  );
+
+  /**
+   * Address of the client. Behind a reverse proxy set the trustProxy option to
+   * use the first X-Forwarded-For entry.
+   */
+  function getClientIp(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (config.trustProxy && forwarded) return String(forwarded).split(',')[0].trim();
+    return req.socket.remoteAddress || 'unknown';
+  }
+
+  /**
+   * Count a request against a limiter, answering 429 when the key is over its
+   * limit. Returns false if the response was sent.
+   */
+  function checkRateLimit(res, limiter, key) {
+    const { allowed, retryAfterMs } = limiter.hit(key);
+    if (allowed) return true;
+    writeError(res, 'RATE_LIMITED', { retryAfterMs });
+    return false;
+  }
+
+  // -----------------------------------------------------------------------------
+  // HTTP Server Implementation
+  // -----------------------------------------------------------------------------
+
+  /**
+   * Write a JSON response with given status code, body and optional extra headers.
+   */
+  function writeJson(res, statusCode, body, headers) {
+    const data = JSON.stringify(body);
+    res.writeHead(
+      statusCode,
+      Object.assign(
+        {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        },
+        headers
+      )
+    );
+    res.end(data);
+  }
+
+  /**
+   * Write an error response for one of the codes in lib/errors.js. extra may
+   * override the message and add details; retryAfterMs also sets Retry-After.
+   */
+  function writeError(res, code, extra) {
+    const { status, body } = errorResponse(code, extra);
+    const headers = body.retryAfterMs ? { 'Retry-After': String(Math.ceil(body.retryAfterMs / 1000)) } : undefined;
+    writeJson(res, status, body, headers);
+  }
+
+  /**
+   * Run part of a request handler, answering 500 INTERNAL_ERROR if it throws so
+   * a bug in one route neither takes the server down nor passes for a bad request.
+   */
+  function guardHandler(res, fn) {
+    try {
+      fn();
+    } catch (err) {
+      console.error('Request handler failed', err);
+      if (!res.headersSent) writeError(res, 'INTERNAL_ERROR');
+      else res.end();
+    }
+  }
+
+  /**
+   * Wrap a timer callback so that an error in it is logged instead of taking
+   * the server down, as guardHandler does for requests.
+   */
+  function guardTimer(fn) {
+    return () => {
+      try {
+        fn();
+      } catch (err) {
+        console.error('Timer callback failed', err);
+      }
+    };
+  }
+
+  /**
+   * Serve static files from the "public" directory.
+   */
+  function serveStatic(req, res) {
+    const { publicDir } = config;
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(req.url.split('?')[0]);
+    } catch (err) {
+      res.writeHead(400);
+      return res.end('Bad Request');
+    }
+    const filePath = path.join(publicDir, urlPath === '/' ? 'index.html' : urlPath);
+    // Prevent directory traversal
+    if (!filePath.startsWith(publicDir + path.sep)) {
+      res.writeHead(403);
+      return res.end('Forbidden');
+    }
+    fs.readFile(filePath, (err, content) => {
+      if (err) {
+        res.writeHead(404);
+        return res.end('Not Found');
+      }
+      const ext = path.extname(filePath).toLowerCase();
+      const mimeTypes = {
+        '.html': 'text/html',
+        '.js': 'application/javascript',
+        '.css': 'text/css',
+        '.json': 'application/json',
+        '.png': 'image/png',
+        '.jpg': 'image/jpeg',
+        '.ico': 'image/x-icon',
+      };
+      const contentType = mimeTypes[ext] || 'text/plain';
+      res.writeHead(200, { 'Content-Type': contentType });
+      res.end(content);
+    });
+  }
+
+  /**
+   * Handle incoming request, answering 500 if routing it throws.
+   */
+  function handleRequest(req, res) {
+    guardHandler(res, () => routeRequest(req, res));
+  }
+
+  /**
+   * Route a request to API endpoints or serve static content.
+   */
+  function routeRequest(req, res) {
+    const { method, url: reqUrl } = req;
+    if (!checkRateLimit(res, ipLimiter, getClientIp(req))) return;
+    if (AUTH_ROUTES.some((route) => reqUrl.startsWith(route)) && method === 'POST') {
+      if (!checkRateLimit(res, authLimiter, getClientIp(req))) return;
+    }
+    // Preflight for CORS
+    if (method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      });
+      return res.end();
+    }
+    // API routes
+    if (reqUrl.startsWith('/admin/players') && method === 'GET') {
+      return handleAdminPlayers(req, res);
+    }
+    if (reqUrl.startsWith('/admin/rooms') && method === 'GET') {
+      return handleAdminRooms(req, res);
+    }
+    if (reqUrl.startsWith('/admin/audit') && method === 'GET') {
+      return handleAdminAudit(req, res);
+    }
+    if (reqUrl.startsWith('/admin/kick') && method === 'POST') {
+      return handleAdminKick(req, res);
+    }
+    if (reqUrl.startsWith('/admin/ban') && method === 'POST') {
+      return handleAdminBan(req, res, true);
+    }
+    if (reqUrl.startsWith('/admin/unban') && method === 'POST') {
+      return handleAdminBan(req, res, false);
+    }
+    if (reqUrl.startsWith('/admin/level') && method === 'POST') {
+      return handleAdminLevel(req, res);
+    }
+    if (reqUrl.startsWith('/admin/leaderboard') && method === 'POST') {
+      return handleAdminLeaderboard(req, res);
+    }
+    if (reqUrl.startsWith('/admin/webhooks/deliveries') && method === 'GET') {
+      return handleAdminWebhookDeliveries(req, res);
+    }
+    if (reqUrl.startsWith('/admin/webhooks/delete') && method === 'POST') {
+      return handleAdminDeleteWebhook(req, res);
+    }
+    if (reqUrl.startsWith('/admin/webhooks/test') && method === 'POST') {
+      return handleAdminTestWebhook(req, res);
+    }
+    if (reqUrl.startsWith('/admin/webhooks') && method === 'GET') {
+      return handleAdminListWebhooks(req, res);
+    }
+    if (reqUrl.startsWith('/admin/webhooks') && method === 'POST') {
+      return handleAdminAddWebhook(req, res);
+    }
+    if (reqUrl.startsWith('/rooms') && method === 'GET') {
+      return handleListRooms(req, res);
+    }
+    if (reqUrl.startsWith('/rooms') && method === 'POST') {
+      return handleCreateRoom(req, res);
+    }
+    if (reqUrl.startsWith('/register') && method === 'POST') {
+      return handleRegister(req, res);
+    }
+    if (reqUrl.startsWith('/login') && method === 'POST') {
+      return handleLogin(req, res);
+    }
+    if (reqUrl.startsWith('/logout') && method === 'POST') {
+      return handleLogout(req, res);
+    }
+    if (reqUrl.startsWith('/account/profile') && method === 'POST') {
+      return handleUpdateProfile(req, res);
+    }
+    if (reqUrl.startsWith('/account/password') && method === 'POST') {
+      return handleChangePassword(req, res);
+    }
+    if (reqUrl.startsWith('/account/reset-request') && method === 'POST') {
+      return handleResetRequest(req, res);
+    }
+    if (reqUrl.startsWith('/account/reset') && method === 'POST') {
+      return handleResetPassword(req, res);
+    }
+    if (reqUrl.startsWith('/account/delete') && method === 'POST') {
+      return handleDeleteAccount(req, res);
+    }
+    if (reqUrl.startsWith('/me') && method === 'GET') {
+      return handleMe(req, res);
+    }
+    if (reqUrl.startsWith('/seasons') && method === 'GET') {
+      return handleListSeasons(req, res);
+    }
+    if (reqUrl.startsWith('/seasons') && method === 'POST') {
+      return handleStartSeason(req, res);
+    }
+    if (reqUrl.startsWith('/countries') && method === 'GET') {
+      return handleCountries(req, res);
+    }
+    if (reqUrl.startsWith('/leaderboard/countries') && method === 'GET') {
+      return handleCountryLeaderboard(req, res);
+    }
+    if (reqUrl.startsWith('/leaderboard/me') && method === 'GET') {
+      return handleMyRank(req, res);
+    }
+    if (reqUrl.startsWith('/leaderboard') && method === 'GET') {
+      return handleLeaderboard(req, res);
+    }
+    if (reqUrl.startsWith('/achievements') && method === 'GET') {
+      return handleAchievements(req, res);
+    }
+    if (reqUrl.startsWith('/players/') && method === 'GET') {
+      return handlePlayerProfile(req, res);
+    }
+    if (reqUrl.startsWith('/attempts/') && method === 'GET') {
+      return handleGetAttempt(req, res);
+    }
+    if (reqUrl.startsWith('/attempts') && method === 'GET') {
+      return handleListAttempts(req, res);
+    }
+    if (reqUrl.startsWith('/chat/mute') && method === 'GET') {
+      return handleListMuted(req, res);
+    }
+    if (reqUrl.startsWith('/chat/mute') && method === 'POST') {
+      return handleChatMute(req, res);
+    }
+    if (reqUrl.startsWith('/chat/lobby') && method === 'GET') {
+      return handleGetChat(req, res, true);
+    }
+    if (reqUrl.startsWith('/chat/lobby') && method === 'POST') {
+      return handlePostChat(req, res, true);
+    }
+    if (reqUrl.startsWith('/chat') && method === 'GET') {
+      return handleGetChat(req, res, false);
+    }
+    if (reqUrl.startsWith('/chat') && method === 'POST') {
+      return handlePostChat(req, res, false);
+    }
+    if (reqUrl.startsWith('/board') && method === 'GET') {
+      return handleBoard(req, res);
+    }
+    if (reqUrl.startsWith('/events') && method === 'GET') {
+      return handleEvents(req, res);
+    }
+    if (reqUrl.startsWith('/heartbeat') && method === 'POST') {
+      return handleHeartbeat(req, res);
+    }
+    if (reqUrl.startsWith('/leave') && method === 'POST') {
+      return handleLeave(req, res);
+    }
+    if (reqUrl.startsWith('/join') && method === 'POST') {
+      return handleJoin(req, res);
+    }
+    if (reqUrl.startsWith('/hold') && method === 'POST') {
+      return handleHold(req, res);
+    }
+    if (reqUrl.startsWith('/release') && method === 'POST') {
+      return handleRelease(req, res);
+    }
+    // Otherwise serve static.
+    serveStatic(req, res);
+  }
+
+  /**
+   * Parse JSON body from request. Bodies over MAX_BODY_BYTES fail with an
+   * error whose code is 'BODY_TOO_LARGE'; the rest of such a body is discarded.
+   */
+  function parseJsonBody(req, callback) {
+    const tooLarge = () => Object.assign(new Error('Request body too large'), { code: 'BODY_TOO_LARGE' });
+    if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+      req.resume();
+      return callback(tooLarge());
+    }
+    const chunks = [];
+    let size = 0;
+    let done = false;
+    req.on('data', (chunk) => {
+      if (done) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        done = true;
+        return callback(tooLarge());
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (done) return;
+      done = true;
+      let parsed;
+      try {
+        parsed = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+      } catch (err) {
+        return callback(err);
+      }
+      callback(null, parsed);
+    });
+  }
+
+  /**
+   * Read a JSON body and validate it against a schema from lib/schemas.js.
+   * Answers 413 or 400 itself; otherwise calls back with the validated body,
+   * answering 500 if the callback throws.
+   */
+  function readJsonBody(req, res, schema, callback) {
+    parseJsonBody(req, (err, data) => {
+      if (err) return writeError(res, err.code === 'BODY_TOO_LARGE' ? 'BODY_TOO_LARGE' : 'INVALID_JSON');
+      const { value, errors } = validate(data, schema);
+      if (errors.length > 0) {
+        const first = errors[0];
+        return writeError(res, 'VALIDATION_FAILED', {
+          message: first.field ? `${first.field} ${first.message}` : first.message,
+          details: errors,
+        });
+      }
+      guardHandler(res, () => callback(value));
+    });
+  }
+
+  /**
+   * Handle registration endpoint.
+   */
+  function handleRegister(req, res) {
+    readJsonBody(req, res, SCHEMAS.register, (data) => {
+      const { nickname, email, password } = data;
+      const country = normalizeCountry(data.country);
+      if (!country) {
+        return writeError(res, 'UNKNOWN_COUNTRY');
+      }
+      if (players.some((p) => p.email.toLowerCase() === email.toLowerCase())) {
+        return writeError(res, 'EMAIL_TAKEN');
+      }
+      hashPassword(password, (hashErr, hashed) =>
+        guardHandler(res, () => {
+          if (hashErr) return writeError(res, 'INTERNAL_ERROR', { message: 'Registration failed' });
+          // Re-check after the async hash in case the same email registered meanwhile.
+          if (players.some((p) => p.email.toLowerCase() === email.toLowerCase())) {
+            return writeError(res, 'EMAIL_TAKEN');
+          }
+          const player = {
+            id: generatePlayerId(),
+            nickname,
+            email,
+            passwordSalt: hashed.salt,
+            passwordHash: hashed.hash,
+            country,
+            role: isAdminEmail(email) ? 'admin' : 'player',
+            levelsCompleted: 0,
+            createdAt: clock(),
+          };
+          players.push(player);
+          savePlayers(players);
+          webhooks.emit('player.registered', { player: Object.assign(toWebhookPlayer(player), { createdAt: player.createdAt }) });
+          const { token, expiresAt } = startSession(player);
+          writeJson(res, 200, { success: true, token, expiresAt, player: toPublicPlayer(player) });
+        })
+      );
+    });
+  }
+
+  /**
+   * Handle login endpoint.
+   * Records still holding a legacy plaintext password are upgraded to a hash on
+   * their first successful login. Repeated failures lock the email out for a
+   * while (see loginLockout), whether or not it is registered.
+   */
+  function handleLogin(req, res) {
+    readJsonBody(req, res, SCHEMAS.login, (data) => {
+      const { email, password } = data;
+      const lockKey = email.toLowerCase();
+      const lockedFor = loginLockout.lockedFor(lockKey);
+      if (lockedFor > 0) return writeError(res, 'ACCOUNT_LOCKED', { retryAfterMs: lockedFor });
+      const user = players.find((p) => p.email.toLowerCase() === lockKey);
+      const respond = (ok) => {
+        if (!ok) {
+          loginLockout.fail(lockKey);
+          return writeError(res, 'INVALID_CREDENTIALS');
+        }
+        loginLockout.succeed(lockKey);
+        if (user.banned) return writeError(res, 'ACCOUNT_BANNED');
+        const { token, expiresAt } = startSession(user);
+        writeJson(res, 200, { success: true, token, expiresAt, player: toPublicPlayer(user) });
+      };
+      if (!user) return respond(false);
+      if (user.passwordHash) {
+        return verifyPassword(password, user.passwordSalt, user.passwordHash, (verifyErr, ok) =>
+          guardHandler(res, () => respond(!verifyErr && ok))
+        );
+      }
+      if (typeof user.password !== 'string' || user.password !== password) return respond(false);
+      hashPassword(password, (hashErr, hashed) =>
+        guardHandler(res, () => {
+          if (!hashErr) {
+            user.passwordSalt = hashed.salt;
+            user.passwordHash = hashed.hash;
+            delete user.password;
+            savePlayers(players);
+          }
+          respond(true);
+        })
+      );
+    });
+  }
+
+  /**
+   * Handle logout endpoint: revoke the session carried by the request.
+   */
+  function handleLogout(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    pruneRevokedSessions();
+    revokedSessions[session.sessionId] = session.expiresAt;
+    writeJson(res, 200, { success: true });
+  }
+
+  /**
+   * Handle current player endpoint: return the player behind the session.
+   */
+  function handleMe(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    writeJson(res, 200, { success: true, player: toPublicPlayer(session.player) });
+  }
+
+  /**
+   * Handle profile update endpoint: change the session player's { nickname, country }.
+   */
+  function handleUpdateProfile(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    readJsonBody(req, res, SCHEMAS.updateProfile, (data) => {
+      const player = session.player;
+      const nickname = data.nickname === undefined ? player.nickname : data.nickname;
+      let country = player.country;
+      if (data.country !== undefined) {
+        country = normalizeCountry(data.country);
+        if (!country) return writeError(res, 'UNKNOWN_COUNTRY');
+      }
+      player.nickname = nickname;
+      player.country = country;
+      savePlayers(players);
+      // Show the change on the board the player is online in.
+      const room = rooms[playerRooms[player.id]];
+      const online = room && (room.playersOnline[player.id] || room.spectators[player.id]);
+      if (online) {
+        online.nickname = nickname;
+        online.country = country;
+        broadcastBoard(room);
+      }
+      writeJson(res, 200, { success: true, player: toPublicPlayer(player) });
+    });
+  }
+
+  /**
+   * Handle change password endpoint: { currentPassword, newPassword }. Other
+   * sessions of the player end; the response carries a fresh token.
+   */
+  function handleChangePassword(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    readJsonBody(req, res, SCHEMAS.changePassword, (data) => {
+      const { currentPassword, newPassword } = data;
+      const player = session.player;
+      checkPassword(player, currentPassword, (checkErr, ok) =>
+        guardHandler(res, () => {
+          if (checkErr || !ok) return writeError(res, 'INVALID_CREDENTIALS');
+          setPassword(player, newPassword, (setErr) =>
+            guardHandler(res, () => {
+              if (setErr) return writeError(res, 'INTERNAL_ERROR', { message: 'Password change failed' });
+              const { token, expiresAt } = startSession(player);
+              writeJson(res, 200, { success: true, token, expiresAt });
+            })
+          );
+        })
+      );
+    });
+  }
+
+  /**
+   * Handle password reset request endpoint: { email }. Mails a one-time link
+   * valid for RESET_TOKEN_TTL_MS. The answer is the same whether or not the
+   * email is registered.
+   */
+  function handleResetRequest(req, res) {
+    readJsonBody(req, res, SCHEMAS.resetRequest, (data) => {
+      const email = data.email.toLowerCase();
+      const player = players.find((p) => p.email.toLowerCase() === email);
+      if (player) {
+        const { token, tokenHash } = createResetToken();
+        player.passwordReset = { tokenHash, expiresAt: clock() + RESET_TOKEN_TTL_MS };
+        savePlayers(players);
+        const baseUrl = config.publicUrl || `http://${req.headers.host}`;
+        const minutes = Math.round(RESET_TOKEN_TTL_MS / 60000);
+        mailer.send(
+          {
+            to: player.email,
+            subject: 'Reset your Synergy Squares password',
+            text:
+              `Hi ${player.nickname},\n\nOpen this link to choose a new password:\n` +
+              `${baseUrl}/?reset=${token}\n\nThe link works once and expires in ${minutes} minutes. ` +
+              'If you did not ask for a reset you can ignore this message.\n',
+          },
+          (mailErr) => {
+            if (mailErr) console.error('Failed to send password reset mail', mailErr);
+          }
+        );
+      }
+      writeJson(res, 200, { success: true, message: 'If that email is registered, a reset link is on its way' });
+    });
+  }
+
+  /**
+   * Handle password reset endpoint: { token, newPassword }. The token is used up
+   * and every existing session of the player ends; the player is logged in.
+   */
+  function handleResetPassword(req, res) {
+    readJsonBody(req, res, SCHEMAS.resetPassword, (data) => {
+      const { token, newPassword } = data;
+      const tokenHash = hashResetToken(token);
+      const player = players.find(
+        (p) => p.passwordReset && p.passwordReset.tokenHash === tokenHash && p.passwordReset.expiresAt > clock()
+      );
+      if (!player) return writeError(res, 'INVALID_RESET_TOKEN');
+      delete player.passwordReset;
+      setPassword(player, newPassword, (setErr) =>
+        guardHandler(res, () => {
+          if (setErr) return writeError(res, 'INTERNAL_ERROR', { message: 'Password reset failed' });
+          if (player.banned) return writeError(res, 'ACCOUNT_BANNED');
+          const session = startSession(player);
+          writeJson(res, 200, {
+            success: true,
+            token: session.token,
+            expiresAt: session.expiresAt,
+            player: toPublicPlayer(player),
+          });
+        })
+      );
+    });
+  }
+
+  /**
+   * Remove a player account and every trace of it in live game state and
+   * leaderboards: their square and place in any room, room memberships,
+   * teammate stats of other players, completion history and archived season
+   * standings.
+   */
+  function deleteAccount(player) {
+    const id = player.id;
+    const room = rooms[playerRooms[id]];
+    if (room && removeOnline(room, id, 'leave')) broadcastBoard(room);
+    Object.values(rooms).forEach((r) => {
+      delete r.members[id];
+      delete r.kickedUntil[id];
+    });
+    markGameStateDirty();
+    lobbyChat.removePlayer(id);
+    Object.values(rooms).forEach((r) => r.chat.removePlayer(id));
+    players = players.filter((p) => p.id !== id);
+    players.forEach((p) => {
+      if (p.stats) delete p.stats.teammates[id];
+      if (p.mutedPlayers) p.mutedPlayers = p.mutedPlayers.filter((mutedId) => mutedId !== id);
+    });
+    savePlayers(players);
+    // Events already in the completions log stay on disk but no longer match an account.
+    for (let i = completions.length - 1; i >= 0; i--) {
+      if (completions[i].playerId === id) completions.splice(i, 1);
+    }
+    seasons.archived.forEach((season) => {
+      season.standings = rankEntries(season.standings.filter((entry) => entry.id !== id));
+    });
+    storage.saveSeasons(seasons);
+  }
+
+  /**
+   * Handle account deletion endpoint: { password } confirms the deletion.
+   */
+  function handleDeleteAccount(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    readJsonBody(req, res, SCHEMAS.deleteAccount, (data) => {
+      checkPassword(session.player, data.password, (checkErr, ok) => {
+        if (checkErr || !ok) return writeError(res, 'INVALID_CREDENTIALS');
+        if (!getPlayerById(session.player.id)) return writeError(res, 'UNKNOWN_PLAYER');
+        deleteAccount(session.player);
+        writeJson(res, 200, { success: true });
+      });
+    });
+  }
+
+  /**
+   * Ranked leaderboard entries. Options:
+   *   country  limit to one country
+   *   range    { from, to } to count only completions in that window; all-time
+   *            counters are used when absent
+   */
+  function getRankedLeaderboard({ country, range } = {}) {
+    let filtered = players;
+    if (country) {
+      filtered = players.filter((p) => p.country === country);
+    }
+    if (!range) {
+      return rankEntries(
+        filtered.map((p) => ({
+          id: p.id,
+          nickname: p.nickname,
+          country: p.country,
+          levelsCompleted: p.levelsCompleted || 0,
+          reachedAt: p.levelsReachedAt || null,
+        }))
+      );
+    }
+    const counts = countCompletions(completions, range);
+    return rankEntries(
+      filtered
+        .filter((p) => counts.has(p.id))
+        .map((p) => ({
+          id: p.id,
+          nickname: p.nickname,
+          country: p.country,
+          levelsCompleted: counts.get(p.id).count,
+          reachedAt: counts.get(p.id).lastAt,
+        }))
+    );
+  }
+
+  /**
+   * Resolve the ranked entries a leaderboard request asks for: ?country=, a
+   * time ?window= (all, day, week, season, custom with ?from=&to=) or the
+   * final standings of an archived ?season=.
+   * Returns { ranked } or { error } with an error code.
+   */
+  function resolveLeaderboard(searchParams) {
+    let country = null;
+    if (searchParams.get('country')) {
+      country = normalizeCountry(searchParams.get('country'));
+      if (!country) return { error: 'UNKNOWN_COUNTRY' };
+    }
+    const seasonId = searchParams.get('season');
+    if (seasonId && Number(seasonId) !== seasons.current.id) {
+      const archived = seasons.archived.find((s) => s.id === Number(seasonId));
+      if (!archived) return { error: 'UNKNOWN_SEASON' };
+      const standings = country ? archived.standings.filter((e) => e.country === country) : archived.standings;
+      return { ranked: rankEntries(standings) };
+    }
+    // Asking for the current season is the same as the 'season' window.
+    const params = seasonId ? new URLSearchParams({ window: 'season' }) : searchParams;
+    const window = getWindowRange(params, clock(), seasons.current.startedAt);
+    if (window.error) return { error: window.error };
+    return { ranked: getRankedLeaderboard({ country, range: window.range }) };
+  }
+
+  /**
+   * Handle leaderboard endpoint.
+   * Supports ?country=, ?window=/?from=&to=/?season= and ?limit=&offset= paging.
+   */
+  function handleLeaderboard(req, res) {
+    const urlObj = new URL(req.url, `http://${req.headers.host}`);
+    const { ranked, error } = resolveLeaderboard(urlObj.searchParams);
+    if (error) return writeError(res, error);
+    writeJson(res, 200, paginate(ranked, parsePaging(urlObj.searchParams)));
+  }
+
+  /**
+   * Handle "my rank" endpoint: the session player's rank plus the players
+   * directly above and below (?neighbours=, default 2). Accepts the same
+   * filters as /leaderboard.
+   */
+  function handleMyRank(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    const urlObj = new URL(req.url, `http://${req.headers.host}`);
+    const { ranked, error } = resolveLeaderboard(urlObj.searchParams);
+    if (error) return writeError(res, error);
+    const count = Math.min(Math.max(parseInt(urlObj.searchParams.get('neighbours'), 10) || 2, 0), 10);
+    const found = findWithNeighbours(ranked, session.player.id, count);
+    if (!found) return writeError(res, 'NOT_RANKED');
+    writeJson(res, 200, Object.assign({ success: true, total: ranked.length }, found));
+  }
+
+  /**
+   * Handle country leaderboard endpoint: countries ranked by the levels their
+   * players completed, in total or per registered player (?sort=perCapita).
+   * Accepts the same time window and season filters as /leaderboard.
+   */
+  function handleCountryLeaderboard(req, res) {
+    const urlObj = new URL(req.url, `http://${req.headers.host}`);
+    const params = new URLSearchParams(urlObj.searchParams);
+    params.delete('country');
+    const { ranked, error } = resolveLeaderboard(params);
+    if (error) return writeError(res, error);
+    const sort = urlObj.searchParams.get('sort') === 'perCapita' ? 'perCapita' : 'levelsCompleted';
+    const byCountry = {};
+    // Records the country migration could not resolve are left out.
+    players.filter((p) => isCountryCode(p.country)).forEach((p) => {
+      if (!byCountry[p.country]) byCountry[p.country] = { players: 0, levelsCompleted: 0 };
+      byCountry[p.country].players += 1;
+    });
+    ranked.forEach((entry) => {
+      if (byCountry[entry.country]) byCountry[entry.country].levelsCompleted += entry.levelsCompleted;
+    });
+    const rows = Object.keys(byCountry).map((code) => {
+      const { players: count, levelsCompleted } = byCountry[code];
+      return {
+        country: code,
+        name: getCountryName(code),
+        players: count,
+        levelsCompleted,
+        perCapita: Math.round((levelsCompleted / count) * 100) / 100,
+      };
+    });
+    writeJson(res, 200, { sort, countries: rankCountries(rows, sort) });
+  }
+
+  /**
+   * Handle player profile endpoint (/players/:id): public details and stats.
+   */
+  function handlePlayerProfile(req, res) {
+    const urlObj = new URL(req.url, `http://${req.headers.host}`);
+    const player = getPlayerById(urlObj.pathname.slice('/players/'.length));
+    if (!player) return writeError(res, 'UNKNOWN_PLAYER');
+    writeJson(res, 200, { success: true, profile: getPlayerProfile(player) });
+  }
+
+  /**
+   * Handle achievements endpoint: every achievement, with when the session's
+   * player unlocked it (null while locked).
+   */
+  function handleAchievements(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    writeJson(res, 200, { success: true, achievements: listAchievements(session.player.achievements) });
+  }
+
+  /**
+   * Handle country list endpoint: ISO 3166 codes and names for registration.
+   */
+  function handleCountries(req, res) {
+    writeJson(res, 200, { countries: COUNTRIES });
+  }
+
+  /**
+   * Handle season list endpoint: the current season and archived ones.
+   */
+  function handleListSeasons(req, res) {
+    writeJson(res, 200, {
+      current: seasons.current,
+      archived: seasons.archived.map(({ standings, ...season }) => season),
+    });
+  }
+
+  /**
+   * Handle new season endpoint (admin only): archive the current season's
+   * standings and start a fresh one. Accepts an optional { name } JSON body.
+   */
+  function handleStartSeason(req, res) {
+    const session = requireAdmin(req, res);
+    if (!session) return;
+    readJsonBody(req, res, SCHEMAS.startSeason, (data) => {
+      const season = startSeason(data.name);
+      recordAudit(session.player, 'startSeason', { seasonId: season.id, name: season.name });
+      writeJson(res, 200, { success: true, season });
+    });
+  }
+
+  /**
+   * Handle board state request. Private rooms show their board only to players
+   * who may enter them.
+   */
+  function handleBoard(req, res) {
+    const room = requireRoom(req, res);
+    if (!room) return;
+    const session = getSession(req);
+    const accessError = getRoomAccessError(room, session ? session.player.id : null);
+    if (accessError) return writeError(res, accessError);
+    writeJson(res, 200, getBoardState(room));
+  }
+
+  /**
+   * Resolve the room named by the request's ?room= parameter (default room if
+   * absent). Returns null, having answered 404, when the room does not exist.
+   */
+  function requireRoom(req, res) {
+    const urlObj = new URL(req.url, `http://${req.headers.host}`);
+    const room = rooms[urlObj.searchParams.get('room') || DEFAULT_ROOM_ID];
+    if (!room) {
+      writeError(res, 'UNKNOWN_ROOM');
+      return null;
+    }
+    return room;
+  }
+
+  /**
+   * Handle room list endpoint: public rooms for the lobby.
+   */
+  function handleListRooms(req, res) {
+    const list = Object.values(rooms)
+      .filter((r) => !r.isPrivate)
+      .map((r) => getRoomSummary(r, false))
+      .sort((a, b) => b.playersOnline - a.playersOnline);
+    writeJson(res, 200, { rooms: list });
+  }
+
+  /**
+   * Handle room creation endpoint.
+   * Expects { name, private } JSON body. Private rooms get an invite code.
+   */
+  function handleCreateRoom(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    readJsonBody(req, res, SCHEMAS.createRoom, (data) => {
+      const room = createRoom({ name: data.name, isPrivate: Boolean(data.private), ownerId: session.player.id });
+      writeJson(res, 200, { success: true, room: getRoomSummary(room, true) });
+    });
+  }
+
+  /**
+   * Helper to register players as online in a room. Called from hold/join/heartbeat
+   * endpoints. Adds a player to the room's playersOnline if not already, with
+   * default fields, and refreshes their last-seen time. A player is online in one
+   * room at a time, so entering a room takes them out of the previous one.
+   */
+  function ensureOnline(room, stored) {
+    const playerId = stored.id;
+    const previousRoom = rooms[playerRooms[playerId]];
+    if (previousRoom && previousRoom !== room) {
+      removeOnline(previousRoom, playerId, 'leave');
+      broadcastBoard(previousRoom);
+    }
+    // A spectator switching to playing joins the back of the queue.
+    delete room.spectators[playerId];
+    if (!room.playersOnline[playerId]) {
+      room.playersOnline[playerId] = {
+        id: stored.id,
+        nickname: stored.nickname,
+        country: stored.country,
+        role: stored.role,
+        levelsCompleted: stored.levelsCompleted || 0,
+        squareIndex: null,
+        lastSeen: clock(),
+      };
+      playerRooms[playerId] = room.id;
+      recordAttemptEvent(room, 'join', { playerId, nickname: stored.nickname, country: stored.country });
+      room.queue.push(playerId);
+      rebalanceSquad(room);
+    }
+    room.playersOnline[playerId].lastSeen = clock();
+    if (!stored.firstSeenAt) stored.firstSeenAt = clock();
+    stored.lastSeenAt = clock();
+    return room.playersOnline[playerId];
+  }
+
+  /**
+   * Register a player as a spectator of a room, the counterpart of ensureOnline.
+   * A player who was playing in the room gives up their square and their place
+   * in the squad or queue.
+   */
+  function ensureSpectating(room, stored) {
+    const playerId = stored.id;
+    const previousRoom = rooms[playerRooms[playerId]];
+    if (previousRoom && (previousRoom !== room || room.playersOnline[playerId])) {
+      removeOnline(previousRoom, playerId, 'leave');
+      if (previousRoom !== room) broadcastBoard(previousRoom);
+    }
+    if (!room.spectators[playerId]) {
+      room.spectators[playerId] = {
+        id: stored.id,
+        nickname: stored.nickname,
+        country: stored.country,
+        role: stored.role,
+        lastSeen: clock(),
+      };
+      playerRooms[playerId] = room.id;
+    }
+    room.spectators[playerId].lastSeen = clock();
+    if (!stored.firstSeenAt) stored.firstSeenAt = clock();
+    stored.lastSeenAt = clock();
+    return room.spectators[playerId];
+  }
+
+  /**
+   * Handle hold square endpoint.
+   */
+  function handleHold(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    if (!checkRateLimit(res, actionLimiter, session.player.id)) return;
+    const room = requireRoom(req, res);
+    if (!room) return;
+    readJsonBody(req, res, SCHEMAS.hold, (data) => {
+      const { squareIndex } = data;
+      if (!canEnterRoom(room, session.player.id)) {
+        return writeError(res, 'INVITE_REQUIRED');
+      }
+      if (isKickedFrom(room, session.player.id)) {
+        return writeError(res, 'KICKED');
+      }
+      if (room.spectators[session.player.id]) {
+        return writeError(res, 'SPECTATING');
+      }
+      // Validate the square before the hold puts the player online in the room.
+      if (!isPlayableSquare(room, squareIndex)) {
+        return writeError(res, 'INVALID_SQUARE');
+      }
+      const player = ensureOnline(room, session.player);
+      // Only the active squad plays; everyone else waits in the queue.
+      if (!isInSquad(room, player.id)) {
+        const position = room.queue.indexOf(player.id) + 1;
+        return writeError(res, 'IN_QUEUE', { message: `Waiting in queue (position ${position})`, position });
+      }
+      // If not enough players in the squad to match squares, deny.
+      if (room.squad.length !== room.levelDef.squadSize) {
+        return writeError(res, 'SQUAD_INCOMPLETE');
+      }
+      // Already holds another square
+      if (player.squareIndex !== null && player.squareIndex !== undefined) {
+        return writeError(res, 'ALREADY_HOLDING');
+      }
+      // Square occupied by someone else
+      if (room.occupied[squareIndex]) {
+        return writeError(res, 'SQUARE_OCCUPIED');
+      }
+      // The level's game mode may restrict which free squares can be taken.
+      const modeError = getGameMode(room.levelDef.mode).checkHold(room, squareIndex, player);
+      if (modeError) {
+        return writeError(res, modeError);
+      }
+      // Assign square
+      room.occupied[squareIndex] = player.id;
+      player.squareIndex = squareIndex;
+      player.heldSince = clock();
+      recordAttemptEvent(room, 'hold', { playerId: player.id, squareIndex });
+      if (checkLevelCompletion(room)) room.finalHolderId = player.id;
+      // Count today towards the player's streak of days played.
+      const streak = updatePlayStreak(session.player.playStreak, clock());
+      if (streak !== session.player.playStreak) {
+        session.player.playStreak = streak;
+        unlockAchievements(room, session.player, 'hold', { streakDays: streak.days });
+        savePlayers(players);
+      }
+      // Start the hold countdown once every square is held (completes at once if
+      // the level needs no hold time).
+      const levelCompleted = updateHoldCountdown(room);
+      broadcastBoard(room);
+      writeJson(res, 200, { success: true, board: getBoardState(room), levelCompleted });
+    });
+  }
+
+  /**
+   * Handle release square endpoint.
+   */
+  function handleRelease(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    if (!checkRateLimit(res, actionLimiter, session.player.id)) return;
+    const room = requireRoom(req, res);
+    if (!room) return;
+    readJsonBody(req, res, SCHEMAS.release, () => {
+      const player = room.playersOnline[session.player.id];
+      if (!player) return writeError(res, 'PLAYER_NOT_ONLINE');
+      player.lastSeen = clock();
+      const idx = player.squareIndex;
+      if (idx !== null && idx !== undefined) {
+        freeSquare(room, player);
+        recordAttemptEvent(room, 'release', { playerId: player.id, squareIndex: idx });
+      }
+      updateHoldCountdown(room);
+      broadcastBoard(room);
+      writeJson(res, 200, { success: true, board: getBoardState(room) });
+    });
+  }
+
+  /**
+   * Handle join endpoint: register the session's player as online in a room.
+   * The room comes from ?room=, or from an { inviteCode } JSON body when no room
+   * is named. Private rooms need the invite code on the first join. With
+   * { mode: 'spectate' } the player watches instead; joining again with
+   * { mode: 'play' } switches a spectator into the queue.
+   */
+  function handleJoin(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    readJsonBody(req, res, SCHEMAS.join, (data) => {
+      const urlObj = new URL(req.url, `http://${req.headers.host}`);
+      const roomId = urlObj.searchParams.get('room');
+      const { inviteCode } = data;
+      let room;
+      if (roomId) {
+        room = rooms[roomId];
+      } else if (inviteCode) {
+        room = getRoomByInviteCode(inviteCode);
+      } else {
+        room = rooms[DEFAULT_ROOM_ID];
+      }
+      if (!room) return writeError(res, 'UNKNOWN_ROOM');
+      const playerId = session.player.id;
+      if (isKickedFrom(room, playerId)) {
+        return writeError(res, 'KICKED');
+      }
+      if (!canEnterRoom(room, playerId)) {
+        if (!inviteCode || String(inviteCode).toUpperCase() !== room.inviteCode) {
+          return writeError(res, 'INVITE_REQUIRED');
+        }
+        room.members[playerId] = true;
+        markGameStateDirty();
+      }
+      if (data.mode === 'spectate') ensureSpectating(room, session.player);
+      else ensureOnline(room, session.player);
+      broadcastBoard(room);
+      writeJson(res, 200, { success: true, room: getRoomSummary(room, true), board: getBoardState(room) });
+    });
+  }
+
+  /**
+   * Handle heartbeat endpoint: keep the session's player online in a room, as a
+   * player or, with { mode: 'spectate' }, as a spectator. A player evicted for
+   * idling is brought back by their next heartbeat.
+   */
+  function handleHeartbeat(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    const room = requireRoom(req, res);
+    if (!room) return;
+    readJsonBody(req, res, SCHEMAS.heartbeat, (data) => {
+      if (!canEnterRoom(room, session.player.id)) {
+        return writeError(res, 'INVITE_REQUIRED');
+      }
+      if (isKickedFrom(room, session.player.id)) {
+        return writeError(res, 'KICKED');
+      }
+      if (data.mode === 'spectate') ensureSpectating(room, session.player);
+      else ensureOnline(room, session.player);
+      broadcastBoard(room);
+      writeJson(res, 200, { success: true, idleTimeoutMs: IDLE_TIMEOUT_MS });
+    });
+  }
+
+  /**
+   * Handle leave endpoint: take the session's player out of a room and free their square.
+   */
+  function handleLeave(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    const room = requireRoom(req, res);
+    if (!room) return;
+    removeOnline(room, session.player.id, 'leave');
+    broadcastBoard(room);
+    writeJson(res, 200, { success: true, board: getBoardState(room) });
+  }
+
+  // -----------------------------------------------------------------------------
+  // Chat endpoints
+  // -----------------------------------------------------------------------------
+
+  /**
+   * Resolve the chat channel of a request: the lobby's, or the room named by
+   * ?room=. Private room chats are only open to members, and kicked or banned
+   * players are kept out. Returns null if the response was sent.
+   */
+  function requireChatChannel(req, res, session, isLobby) {
+    if (isLobby) return { channel: lobbyChat, room: null };
+    const room = requireRoom(req, res);
+    if (!room) return null;
+    const accessError = getRoomAccessError(room, session ? session.player.id : null);
+    if (accessError) {
+      writeError(res, accessError);
+      return null;
+    }
+    return { channel: room.chat, room };
+  }
+
+  /**
+   * Handle chat history endpoint (/chat?room= or /chat/lobby): messages after
+   * ?since=<id>, leaving out players the session's player has muted, and the
+   * quick signals that can be sent.
+   */
+  function handleGetChat(req, res, isLobby) {
+    const session = getSession(req);
+    const target = requireChatChannel(req, res, session, isLobby);
+    if (!target) return;
+    const urlObj = new URL(req.url, `http://${req.headers.host}`);
+    const since = Number(urlObj.searchParams.get('since')) || 0;
+    const messages = target.channel.list({ since, excludePlayers: session ? session.player.mutedPlayers : [] });
+    writeJson(res, 200, { messages, signals: QUICK_SIGNALS });
+  }
+
+  /**
+   * Handle chat post endpoint: { text } or { signal } (a QUICK_SIGNALS id).
+   * Room messages need the player to be in the room, playing or watching, and
+   * are pushed to the room's event stream.
+   */
+  function handlePostChat(req, res, isLobby) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    if (!checkRateLimit(res, chatLimiter, session.player.id)) return;
+    const target = requireChatChannel(req, res, session, isLobby);
+    if (!target) return;
+    const { channel, room } = target;
+    readJsonBody(req, res, SCHEMAS.chatMessage, (data) => {
+      if (!data.text && !data.signal) {
+        return writeError(res, 'VALIDATION_FAILED', {
+          message: 'text or signal is required',
+          details: [{ field: 'text', message: 'is required' }],
+        });
+      }
+      if (room && !room.playersOnline[session.player.id] && !room.spectators[session.player.id]) {
+        return writeError(res, 'PLAYER_NOT_ONLINE');
+      }
+      const message = channel.post(session.player, data);
+      // Players who lost access to a private room (kicked, banned) may still have a stream open.
+      if (room) broadcastEvent(room, 'chat', message, (playerId) => !getRoomAccessError(room, playerId));
+      writeJson(res, 200, { success: true, message });
+    });
+  }
+
+  /**
+   * The players a player has muted, as { id, nickname }.
+   */
+  function getMutedPlayers(player) {
+    return (player.mutedPlayers || [])
+      .map(getPlayerById)
+      .filter(Boolean)
+      .map((p) => ({ id: p.id, nickname: p.nickname }));
+  }
+
+  /**
+   * Handle muted player list endpoint.
+   */
+  function handleListMuted(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    writeJson(res, 200, { success: true, muted: getMutedPlayers(session.player) });
+  }
+
+  /**
+   * Handle chat mute endpoint: { playerId, muted } hides (or shows again) a
+   * player's messages for the session's player.
+   */
+  function handleChatMute(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    readJsonBody(req, res, SCHEMAS.chatMute, (data) => {
+      const player = session.player;
+      if (data.playerId === player.id) {
+        return writeError(res, 'VALIDATION_FAILED', {
+          message: 'You cannot mute yourself',
+          details: [{ field: 'playerId', message: 'must not be your own id' }],
+        });
+      }
+      if (!getPlayerById(data.playerId)) return writeError(res, 'UNKNOWN_PLAYER');
+      const muted = (player.mutedPlayers || []).filter((id) => id !== data.playerId);
+      if (data.muted) muted.push(data.playerId);
+      player.mutedPlayers = muted;
+      savePlayers(players);
+      writeJson(res, 200, { success: true, muted: getMutedPlayers(player) });
+    });
+  }
+
+  // -----------------------------------------------------------------------------
+  // Level attempts and replays
+  // -----------------------------------------------------------------------------
+
+  /**
+   * Whether the request may see an attempt: attempts in private rooms are only
+   * shown to members of the room and to admins.
+   */
+  function canViewAttempt(attempt, session) {
+    if (!attempt.isPrivate) return true;
+    if (!session) return false;
+    const room = rooms[attempt.roomId];
+    return session.player.role === 'admin' || Boolean(room && room.members[session.player.id]);
+  }
+
+  /**
+   * Finished attempts followed by the attempts in progress, oldest first.
+   */
+  function getAllAttempts() {
+    return attemptHistory.concat(
+      Object.values(rooms)
+        .map((room) => room.attempt)
+        .filter((attempt) => attempt && attempt.events.length > 0)
+    );
+  }
+
+  /**
+   * Handle attempt list endpoint: newest attempts first, without their events.
+   * Supports ?room=, ?level=, ?outcome= (or 'inProgress') and ?limit=&offset= paging.
+   */
+  function handleListAttempts(req, res) {
+    const session = getSession(req);
+    const urlObj = new URL(req.url, `http://${req.headers.host}`);
+    const roomId = urlObj.searchParams.get('room');
+    const level = Number(urlObj.searchParams.get('level')) || null;
+    const outcome = urlObj.searchParams.get('outcome');
+    const matching = getAllAttempts()
+      .filter((a) => canViewAttempt(a, session))
+      .filter((a) => !roomId || a.roomId === roomId)
+      .filter((a) => !level || a.level === level)
+      .filter((a) => !outcome || a.outcome === (outcome === 'inProgress' ? null : outcome))
+      .reverse()
+      .map(getAttemptSummary);
+    const page = paginate(matching, parsePaging(urlObj.searchParams));
+    writeJson(res, 200, { attempts: page.players, total: page.total, limit: page.limit, offset: page.offset });
+  }
+
+  /**
+   * Handle single attempt endpoint (/attempts/:id): the attempt with its full
+   * event stream, for replays.
+   */
+  function handleGetAttempt(req, res) {
+    const urlObj = new URL(req.url, `http://${req.headers.host}`);
+    const id = urlObj.pathname.slice('/attempts/'.length);
+    const attempt = getAllAttempts().find((a) => a.id === id);
+    if (!attempt || !canViewAttempt(attempt, getSession(req))) {
+      return writeError(res, 'UNKNOWN_ATTEMPT');
+    }
+    writeJson(res, 200, { success: true, attempt });
+  }
+
+  // -----------------------------------------------------------------------------
+  // Admin endpoints
+  // -----------------------------------------------------------------------------
+
+  /**
+   * Take a player out of whatever room they are online in ('kick' or 'ban') and
+   * tell that room's clients why. Returns the room, or null if the player was
+   * not online.
+   */
+  function disconnectPlayer(playerId, cause, reason) {
+    const room = rooms[playerRooms[playerId]];
+    if (!room || !removeOnline(room, playerId, cause)) return null;
+    broadcastEvent(room, 'kicked', { playerId, reason });
+    broadcastBoard(room);
+    return room;
+  }
+
+  /**
+   * Handle admin player list: everyone online in any room (spectators included),
+   * and banned accounts.
+   */
+  function handleAdminPlayers(req, res) {
+    if (!requireAdmin(req, res)) return;
+    const now = clock();
+    const online = [];
+    Object.values(rooms).forEach((room) => {
+      Object.values(room.playersOnline).forEach((p) => {
+        const queueIndex = room.queue.indexOf(p.id);
+        online.push({
+          id: p.id,
+          nickname: p.nickname,
+          country: p.country,
+          role: p.role,
+          roomId: room.id,
+          roomName: room.name,
+          squareIndex: p.squareIndex,
+          status: queueIndex === -1 ? 'active' : 'waiting',
+          presence: getPresence(p, now),
+          lastSeen: p.lastSeen,
+        });
+      });
+      Object.values(room.spectators).forEach((s) => {
+        online.push({
+          id: s.id,
+          nickname: s.nickname,
+          country: s.country,
+          role: s.role,
+          roomId: room.id,
+          roomName: room.name,
+          squareIndex: null,
+          status: 'spectating',
+          presence: getPresence(s, now),
+          lastSeen: s.lastSeen,
+        });
+      });
+    });
+    const banned = players
+      .filter((p) => p.banned)
+      .map((p) => ({ id: p.id, nickname: p.nickname, country: p.country, banned: p.banned }));
+    writeJson(res, 200, { online, banned });
+  }
+
+  /**
+   * Handle admin room list: every room, private ones included, with invite codes.
+   */
+  function handleAdminRooms(req, res) {
+    if (!requireAdmin(req, res)) return;
+    const list = Object.values(rooms).map((r) =>
+      Object.assign(getRoomSummary(r, true), { squaresOverride: r.squaresOverride, ownerId: r.ownerId })
+    );
+    writeJson(res, 200, { rooms: list });
+  }
+
+  /**
+   * Handle admin audit log: newest entries first, with ?limit=&offset= paging.
+   */
+  function handleAdminAudit(req, res) {
+    if (!requireAdmin(req, res)) return;
+    const urlObj = new URL(req.url, `http://${req.headers.host}`);
+    const page = paginate(auditLog.slice().reverse(), parsePaging(urlObj.searchParams));
+    writeJson(res, 200, { entries: page.players, total: page.total, limit: page.limit, offset: page.offset });
+  }
+
+  /**
+   * Handle admin kick: { playerId, reason } removes the player from their room,
+   * freeing their square, and keeps them out of it for KICK_COOLDOWN_MS.
+   */
+  function handleAdminKick(req, res) {
+    const session = requireAdmin(req, res);
+    if (!session) return;
+    readJsonBody(req, res, SCHEMAS.adminKick, (data) => {
+      const reason = data.reason || '';
+      const room = disconnectPlayer(data.playerId, 'kick', reason || 'kicked');
+      if (!room) return writeError(res, 'PLAYER_NOT_ONLINE');
+      room.kickedUntil[data.playerId] = clock() + KICK_COOLDOWN_MS;
+      recordAudit(session.player, 'kick', { playerId: data.playerId, roomId: room.id, reason });
+      writeJson(res, 200, { success: true });
+    });
+  }
+
+  /**
+   * Handle admin ban and unban: { playerId, reason }. A banned account cannot
+   * log in or use its sessions, and is taken offline at once.
+   */
+  function handleAdminBan(req, res, ban) {
+    const session = requireAdmin(req, res);
+    if (!session) return;
+    readJsonBody(req, res, SCHEMAS.adminBan, (data) => {
+      const target = getPlayerById(data.playerId);
+      if (!target) return writeError(res, 'UNKNOWN_PLAYER');
+      const reason = data.reason || '';
+      if (ban) {
+        if (target.role === 'admin') {
+          return writeError(res, 'CANNOT_BAN_ADMIN');
+        }
+        target.banned = { at: clock(), by: session.player.id, reason };
+        disconnectPlayer(target.id, 'ban', 'banned');
+      } else {
+        delete target.banned;
+      }
+      savePlayers(players);
+      recordAudit(session.player, ban ? 'ban' : 'unban', { playerId: target.id, reason });
+      writeJson(res, 200, { success: true, player: toPublicPlayer(target) });
+    });
+  }
+
+  /**
+   * Handle admin level change: { roomId, level, squares } moves a room to a
+   * level (its current one to reset it) and optionally overrides the square
+   * count. Every square is released and the attempt starts over.
+   */
+  function handleAdminLevel(req, res) {
+    const session = requireAdmin(req, res);
+    if (!session) return;
+    readJsonBody(req, res, SCHEMAS.adminLevel, (data) => {
+      const room = rooms[data.roomId || DEFAULT_ROOM_ID];
+      if (!room) return writeError(res, 'UNKNOWN_ROOM');
+      const level = data.level === undefined ? room.currentLevel : data.level;
+      const squares = data.squares === undefined ? null : data.squares;
+      const previous = { level: room.currentLevel, squaresCount: room.squaresCount };
+      endAttempt(room, 'reset');
+      setRoomLevel(room, level, squares);
+      clearSquares(room);
+      startAttempt(room);
+      clearAttemptTimer(room);
+      rebalanceSquad(room);
+      updateHoldCountdown(room);
+      saveGameState();
+      recordAudit(session.player, 'setLevel', {
+        roomId: room.id,
+        from: previous,
+        to: { level: room.currentLevel, squaresCount: room.squaresCount },
+      });
+      broadcastBoard(room);
+      writeJson(res, 200, { success: true, board: getBoardState(room) });
+    });
+  }
+
+  /**
+   * Handle admin leaderboard edit: { playerId, levelsCompleted } sets a player's
+   * all-time count. Windowed and season leaderboards come from the completion
+   * history and are not affected.
+   */
+  function handleAdminLeaderboard(req, res) {
+    const session = requireAdmin(req, res);
+    if (!session) return;
+    readJsonBody(req, res, SCHEMAS.adminLeaderboard, (data) => {
+      const target = getPlayerById(data.playerId);
+      if (!target) return writeError(res, 'UNKNOWN_PLAYER');
+      const { levelsCompleted } = data;
+      const previous = target.levelsCompleted || 0;
+      const previousLeader = getLeader();
+      target.levelsCompleted = levelsCompleted;
+      target.levelsReachedAt = levelsCompleted > 0 ? clock() : null;
+      const room = rooms[playerRooms[target.id]];
+      if (room && room.playersOnline[target.id]) room.playersOnline[target.id].levelsCompleted = levelsCompleted;
+      savePlayers(players);
+      notifyLeaderChange(previousLeader);
+      recordAudit(session.player, 'editLeaderboard', { playerId: target.id, from: previous, to: levelsCompleted });
+      writeJson(res, 200, { success: true, player: toPublicPlayer(target) });
+    });
+  }
+
+  /**
+   * Handle admin webhook list: registered webhooks without their secrets.
+   */
+  function handleAdminListWebhooks(req, res) {
+    if (!requireAdmin(req, res)) return;
+    writeJson(res, 200, { success: true, webhooks: webhooks.list() });
+  }
+
+  /**
+   * Handle admin webhook registration: { url, events, secret? }. The answer
+   * includes the secret payloads are signed with; it is not shown again.
+   */
+  function handleAdminAddWebhook(req, res) {
+    const session = requireAdmin(req, res);
+    if (!session) return;
+    readJsonBody(req, res, SCHEMAS.adminWebhook, (data) => {
+      const hook = webhooks.register(Object.assign({ createdBy: session.player.id }, data));
+      recordAudit(session.player, 'addWebhook', { webhookId: hook.id, url: hook.url, events: hook.events });
+      writeJson(res, 200, { success: true, webhook: hook });
+    });
+  }
+
+  /**
+   * Handle admin webhook removal: { id }.
+   */
+  function handleAdminDeleteWebhook(req, res) {
+    const session = requireAdmin(req, res);
+    if (!session) return;
+    readJsonBody(req, res, SCHEMAS.adminWebhookId, (data) => {
+      const hook = webhooks.get(data.id);
+      if (!hook || !webhooks.remove(data.id)) return writeError(res, 'UNKNOWN_WEBHOOK');
+      recordAudit(session.player, 'removeWebhook', { webhookId: hook.id, url: hook.url });
+      writeJson(res, 200, { success: true });
+    });
+  }
+
+  /**
+   * Handle admin webhook test: send a 'ping' event to { id } and answer with
+   * the queued delivery.
+   */
+  function handleAdminTestWebhook(req, res) {
+    const session = requireAdmin(req, res);
+    if (!session) return;
+    readJsonBody(req, res, SCHEMAS.adminWebhookId, (data) => {
+      const hook = webhooks.get(data.id);
+      const delivery = webhooks.ping(data.id);
+      if (!delivery) return writeError(res, 'UNKNOWN_WEBHOOK');
+      recordAudit(session.player, 'testWebhook', { webhookId: hook.id, url: hook.url });
+      writeJson(res, 200, { success: true, delivery });
+    });
+  }
+
+  /**
+   * Handle admin webhook delivery log: newest first, for one webhook with
+   * ?webhook=<id>, with ?limit=&offset= paging.
+   */
+  function handleAdminWebhookDeliveries(req, res) {
+    if (!requireAdmin(req, res)) return;
+    const urlObj = new URL(req.url, `http://${req.headers.host}`);
+    const webhookId = urlObj.searchParams.get('webhook');
+    if (webhookId && !webhooks.get(webhookId)) return writeError(res, 'UNKNOWN_WEBHOOK');
+    const page = paginate(webhooks.deliveries(webhookId), parsePaging(urlObj.searchParams));
+    writeJson(res, 200, { success: true, deliveries: page.players, total: page.total, limit: page.limit, offset: page.offset });
+  }
+
+  // -----------------------------------------------------------------------------
+  // Server handle
+  // -----------------------------------------------------------------------------
+
+  const server = http.createServer(handleRequest);
+
+  return {
+    server,
+    handleRequest,
+    listen(port, callback) {
+      server.listen(port === undefined || port === null ? config.port : port, callback);
+      return this;
+    },
+    close(callback) {
+      timers.forEach((timer) => clearInterval(timer));
+      webhooks.close();
+      Object.values(rooms).forEach((room) => {
+        clearTimeout(room.holdTimer);
+        clearAttemptTimer(room);
+        endAttempt(room, 'interrupted');
+        room.eventClients.forEach((playerId, res) => res.end());
+      });
+      saveGameState();
+      if (!server.listening) return process.nextTick(() => callback && callback());
+      server.close(() => callback && callback());
+    },
+    getRooms() {
+      return Object.values(rooms).map((room) => getRoomSummary(room, true));
+    },
+    getBoard(roomId) {
+      return rooms[roomId] ? getBoardState(rooms[roomId]) : null;
+    },
+    getPlayers() {
+      return players.map(toPublicPlayer);
+    },
+    getPlayer(id) {
+      const player = getPlayerById(id);
+      return player ? toPublicPlayer(player) : null;
+    },
+    createRoom({ name, isPrivate }) {
+      return getRoomSummary(createRoom({ name, isPrivate }), true);
+    },
+    saveGameState,
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  createGameServer,
+};
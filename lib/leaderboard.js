@@ -0,0 +1,150 @@
+/**
+ * Leaderboard ranking, paging and time window helpers for Synergy Squares.
+ * Entries are { id, nickname, country, levelsCompleted, reachedAt } where
+ * reachedAt is when the player reached their current levelsCompleted count.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a ?from= / ?to= bound: epoch milliseconds or an ISO date string.
+ * Returns a timestamp, or NaN if the value is not a date.
+ */
+function parseTime(value) {
+  if (/^\d+$/.test(value)) return Number(value);
+  return Date.parse(value);
+}
+
+/**
+ * Resolve the time window of a leaderboard query.
+ * window: 'all' (default), 'day' (since 00:00 UTC today), 'week' (since Monday
+ * 00:00 UTC), 'season' (since seasonStart) or 'custom' with from/to.
+ * Returns { range: { from, to } | null }, or { error } with an API error code
+ * (see lib/errors.js) for bad input.
+ */
+function getWindowRange(searchParams, now, seasonStart) {
+  const window = searchParams.get('window') || (searchParams.get('from') || searchParams.get('to') ? 'custom' : 'all');
+  const startOfDay = now - (now % DAY_MS);
+  switch (window) {
+    case 'all':
+      return { range: null };
+    case 'day':
+      return { range: { from: startOfDay, to: now } };
+    case 'week': {
+      const daysSinceMonday = (new Date(startOfDay).getUTCDay() + 6) % 7;
+      return { range: { from: startOfDay - daysSinceMonday * DAY_MS, to: now } };
+    }
+    case 'season':
+      return { range: { from: seasonStart, to: now } };
+    case 'custom': {
+      const from = searchParams.get('from') ? parseTime(searchParams.get('from')) : 0;
+      const to = searchParams.get('to') ? parseTime(searchParams.get('to')) : now;
+      if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+        return { error: 'INVALID_DATE_RANGE' };
+      }
+      return { range: { from, to } };
+    }
+    default:
+      return { error: 'UNKNOWN_WINDOW' };
+  }
+}
+
+/**
+ * Count completion events per player inside a time range (inclusive).
+ * Returns a Map of playerId -> { count, lastAt }.
+ */
+function countCompletions(events, range) {
+  const counts = new Map();
+  events.forEach((event) => {
+    if (event.at < range.from || event.at > range.to) return;
+    const entry = counts.get(event.playerId) || { count: 0, lastAt: 0 };
+    entry.count += 1;
+    entry.lastAt = Math.max(entry.lastAt, event.at);
+    counts.set(event.playerId, entry);
+  });
+  return counts;
+}
+
+/**
+ * Order entries and assign competition ranks ("1224" ranking): players with
+ * the same levelsCompleted share a rank, and the next rank skips the tied
+ * places. Within a tie, whoever reached the count first is listed first.
+ * Returns a new array; each entry gets a `rank` field.
+ */
+function rankEntries(entries) {
+  const sorted = entries.slice().sort((a, b) => {
+    if (b.levelsCompleted !== a.levelsCompleted) return b.levelsCompleted - a.levelsCompleted;
+    const aReached = a.reachedAt || Infinity;
+    const bReached = b.reachedAt || Infinity;
+    if (aReached !== bReached) return aReached - bReached;
+    return a.nickname.localeCompare(b.nickname);
+  });
+  let rank = 0;
+  return sorted.map((entry, i) => {
+    if (i === 0 || entry.levelsCompleted !== sorted[i - 1].levelsCompleted) rank = i + 1;
+    return Object.assign({}, entry, { rank });
+  });
+}
+
+/**
+ * Order country aggregates by `key` ('levelsCompleted' or 'perCapita') and
+ * assign competition ranks, breaking ties by the other metric and then code.
+ * Returns a new array; each row gets a `rank` field.
+ */
+function rankCountries(rows, key) {
+  const other = key === 'perCapita' ? 'levelsCompleted' : 'perCapita';
+  const sorted = rows.slice().sort((a, b) => b[key] - a[key] || b[other] - a[other] || a.country.localeCompare(b.country));
+  let rank = 0;
+  return sorted.map((row, i) => {
+    if (i === 0 || row[key] !== sorted[i - 1][key]) rank = i + 1;
+    return Object.assign({}, row, { rank });
+  });
+}
+
+/**
+ * Read limit/offset from URL search params, clamped to sane bounds.
+ */
+function parsePaging(searchParams) {
+  const limit = parseInt(searchParams.get('limit'), 10);
+  const offset = parseInt(searchParams.get('offset'), 10);
+  return {
+    limit: Number.isNaN(limit) ? DEFAULT_PAGE_SIZE : Math.min(Math.max(limit, 1), MAX_PAGE_SIZE),
+    offset: Number.isNaN(offset) ? 0 : Math.max(offset, 0),
+  };
+}
+
+/**
+ * Slice one page out of ranked entries.
+ * Returns { players, total, limit, offset }.
+ */
+function paginate(ranked, { limit, offset }) {
+  return { players: ranked.slice(offset, offset + limit), total: ranked.length, limit, offset };
+}
+
+/**
+ * Find a player's entry and the entries around it.
+ * Returns { player, neighbours: { above, below } } or null if the player is not ranked.
+ */
+function findWithNeighbours(ranked, playerId, count) {
+  const index = ranked.findIndex((entry) => entry.id === playerId);
+  if (index === -1) return null;
+  return {
+    player: ranked[index],
+    neighbours: {
+      above: ranked.slice(Math.max(0, index - count), index),
+      below: ranked.slice(index + 1, index + 1 + count),
+    },
+  };
+}
+
+module.exports = {
+  getWindowRange,
+  countCompletions,
+  rankEntries,
+  rankCountries,
+  parsePaging,
+  paginate,
+  findWithNeighbours,
+};
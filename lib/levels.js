@@ -0,0 +1,154 @@
+const fs = require('fs');
+const { DEFAULT_MODE, GAME_MODES, getGameMode } = require('./gameModes');
+
+/**
+ * Level definitions for Synergy Squares.
+ *
+ * The levels file holds { levels: [...], fallback: {...} }. Each level entry:
+ *   squares            number of cells on the board (required)
+ *   columns            grid width; defaults to a near-square grid
+ *   holdSeconds        how long every square must be held together (default 0)
+ *   timeLimitSeconds   optional time for a full squad to complete the level
+ *   blocked            optional cell indices that cannot be held
+ *   special            optional [{ index, type, label }] cells rendered specially
+ *   mode               game mode (see lib/gameModes.js, default 'classic'), plus that
+ *                      mode's own fields: order (ordered), targets or targetCount (pattern)
+ * Every definition gets squadSize, the number of players the mode needs.
+ * Levels past the table are generated from the fallback entry: squares grow
+ * by `growth` from the previous level up to `maxSquares`.
+ */
+
+const DEFAULT_FALLBACK = { growth: 2, maxSquares: 1024, holdSeconds: 5, timeLimitSeconds: null };
+
+/**
+ * Whether value is a whole number >= min.
+ */
+function isInt(value, min) {
+  return Number.isInteger(value) && value >= min;
+}
+
+/**
+ * Validate a raw level entry and fill in defaults. Throws with the level
+ * number in the message when the entry is invalid.
+ */
+function normalizeLevel(raw, number) {
+  const fail = (msg) => {
+    throw new Error(`Invalid level ${number}: ${msg}`);
+  };
+  if (!raw || typeof raw !== 'object') fail('entry must be an object');
+  if (!isInt(raw.squares, 1)) fail('squares must be a positive integer');
+  const columns = raw.columns === undefined ? Math.ceil(Math.sqrt(raw.squares)) : raw.columns;
+  if (!isInt(columns, 1) || columns > raw.squares) fail('columns must be between 1 and squares');
+  const holdSeconds = raw.holdSeconds === undefined ? 0 : raw.holdSeconds;
+  if (typeof holdSeconds !== 'number' || holdSeconds < 0) fail('holdSeconds must be a non-negative number');
+  const timeLimitSeconds = raw.timeLimitSeconds === undefined ? null : raw.timeLimitSeconds;
+  if (timeLimitSeconds !== null && (typeof timeLimitSeconds !== 'number' || timeLimitSeconds <= holdSeconds)) {
+    fail('timeLimitSeconds must be a number greater than holdSeconds');
+  }
+  const blocked = raw.blocked || [];
+  if (!Array.isArray(blocked)) fail('blocked must be an array');
+  blocked.forEach((index) => {
+    if (!isInt(index, 0) || index >= raw.squares) fail(`blocked index ${index} is out of range`);
+  });
+  if (new Set(blocked).size !== blocked.length) fail('blocked indices must be unique');
+  if (blocked.length >= raw.squares) fail('at least one square must be playable');
+  const special = raw.special || [];
+  if (!Array.isArray(special)) fail('special must be an array');
+  special.forEach((sq) => {
+    if (!sq || !isInt(sq.index, 0) || sq.index >= raw.squares) fail('special square index is out of range');
+    if (blocked.includes(sq.index)) fail(`special square ${sq.index} is blocked`);
+    if (typeof sq.type !== 'string' || !sq.type) fail('special square type must be a non-empty string');
+  });
+  const mode = raw.mode === undefined ? DEFAULT_MODE : raw.mode;
+  const gameMode = getGameMode(mode);
+  if (!gameMode) fail(`mode must be one of ${Object.keys(GAME_MODES).join(', ')}`);
+  const def = {
+    level: number,
+    squares: raw.squares,
+    columns,
+    rows: Math.ceil(raw.squares / columns),
+    holdSeconds,
+    timeLimitSeconds,
+    blocked: blocked.slice().sort((a, b) => a - b),
+    special: special.map((sq) => ({ index: sq.index, type: sq.type, label: sq.label || '' })),
+    playableCount: raw.squares - blocked.length,
+    mode,
+  };
+  Object.assign(def, gameMode.normalize(raw, def, fail));
+  def.squadSize = gameMode.squadSize(def);
+  return def;
+}
+
+/**
+ * Copy of a level definition resized to `squares` cells (e.g. an admin
+ * override). Blocked, special and mode-specific cells past the new size are dropped.
+ */
+function resizeLevel(def, squares) {
+  const blocked = def.blocked.filter((i) => i < squares);
+  const raw = {
+    squares,
+    columns: def.columns <= squares ? def.columns : undefined,
+    holdSeconds: def.holdSeconds,
+    timeLimitSeconds: def.timeLimitSeconds === null ? undefined : def.timeLimitSeconds,
+    blocked: blocked.length < squares ? blocked : [],
+    special: def.special.filter((sq) => sq.index < squares),
+    mode: def.mode,
+  };
+  return normalizeLevel(Object.assign(raw, getGameMode(def.mode).resize(def, raw)), def.level);
+}
+
+/**
+ * Validate a parsed levels config and return a lookup { get(level), count }.
+ */
+function createLevels(config) {
+  if (!config || !Array.isArray(config.levels) || config.levels.length === 0) {
+    throw new Error('Levels config must have a non-empty "levels" array');
+  }
+  const table = config.levels.map((raw, i) => normalizeLevel(raw, i + 1));
+  const fallback = Object.assign({}, DEFAULT_FALLBACK, config.fallback);
+  if (typeof fallback.growth !== 'number' || fallback.growth < 1) {
+    throw new Error('Invalid fallback: growth must be a number >= 1');
+  }
+  if (!isInt(fallback.maxSquares, 1)) {
+    throw new Error('Invalid fallback: maxSquares must be a positive integer');
+  }
+  const generated = {}; // Cache of levels built from the fallback formula
+
+  /**
+   * Definition of a level (1-based). Levels past the table follow the fallback formula.
+   */
+  function get(level) {
+    if (level <= table.length) return table[level - 1];
+    for (let n = table.length + 1; n <= level; n++) {
+      if (generated[n]) continue;
+      const previous = n - 1 <= table.length ? table[n - 2] : generated[n - 1];
+      const grown = Math.max(Math.ceil(previous.squares * fallback.growth), previous.squares);
+      generated[n] = normalizeLevel(
+        {
+          squares: Math.min(grown, fallback.maxSquares),
+          holdSeconds: fallback.holdSeconds,
+          timeLimitSeconds: fallback.timeLimitSeconds === null ? undefined : fallback.timeLimitSeconds,
+        },
+        n
+      );
+    }
+    return generated[level];
+  }
+
+  // Build the first generated level now so a bad fallback fails at load time.
+  get(table.length + 1);
+  return { get, count: table.length };
+}
+
+/**
+ * Load and validate the levels file. Throws if it is missing or invalid.
+ */
+function loadLevels(filePath) {
+  return createLevels(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+module.exports = {
+  resizeLevel,
+  createLevels,
+  loadLevels,
+};
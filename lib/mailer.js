@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Outgoing mail for Synergy Squares (password resets).
+ *
+ * A mailer is an object with one method:
+ *   send({ to, subject, text }, callback)   callback(err) once the message is handed off
+ * The built-in mailers are stand-ins for testing: one prints messages to the
+ * console, the other writes each message to a file in an outbox directory.
+ * Any object with the same shape (e.g. one talking to an SMTP relay) can be
+ * used in their place.
+ */
+
+/**
+ * Mailer that logs every message to the console.
+ */
+function createConsoleMailer() {
+  return {
+    send(message, callback) {
+      console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+      process.nextTick(callback, null);
+    },
+  };
+}
+
+/**
+ * Mailer that writes every message as a JSON file into an outbox directory
+ * (named <timestamp>-<recipient>.json), and logs where it went.
+ */
+function createOutboxMailer({ outboxDir }) {
+  fs.mkdirSync(outboxDir, { recursive: true });
+  let sequence = 0;
+  return {
+    send(message, callback) {
+      sequence += 1;
+      const safeTo = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+      const filePath = path.join(outboxDir, `${Date.now()}-${sequence}-${safeTo}.json`);
+      const record = Object.assign({ sentAt: Date.now() }, message);
+      fs.writeFile(filePath, JSON.stringify(record, null, 2), (err) => {
+        if (!err) console.log(`[mail] ${message.subject} -> ${message.to} (${filePath})`);
+        callback(err || null);
+      });
+    },
+  };
+}
+
+module.exports = {
+  createConsoleMailer,
+  createOutboxMailer,
+};
@@ -0,0 +1,93 @@
+/**
+ * In-memory request throttling for Synergy Squares.
+ */
+
+/**
+ * Fixed-window rate limiter: at most `max` hits per key in each `windowMs`.
+ * Keys are e.g. IP addresses or player ids. clock returns the current time in
+ * milliseconds (default Date.now).
+ */
+function createRateLimiter({ windowMs, max, clock = Date.now }) {
+  const windows = new Map(); // Map of key -> { count, resetAt }
+  return {
+    /**
+     * Count a request. Returns { allowed, retryAfterMs }.
+     */
+    hit(key) {
+      const now = clock();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { allowed: entry.count <= max, retryAfterMs: entry.count <= max ? 0 : entry.resetAt - now };
+    },
+    /**
+     * Drop windows that have ended.
+     */
+    prune() {
+      const now = clock();
+      windows.forEach((entry, key) => {
+        if (entry.resetAt <= now) windows.delete(key);
+      });
+    },
+  };
+}
+
+/**
+ * Lock a key (e.g. an account's email) for `lockMs` after `maxFailures`
+ * consecutive failures. A success clears the count, and so does a quiet
+ * period of `lockMs` without failures.
+ */
+function createFailureLockout({ maxFailures, lockMs, clock = Date.now }) {
+  const failures = new Map(); // Map of key -> { count, lockedUntil, lastFailureAt }
+  return {
+    /**
+     * Milliseconds until the key is unlocked, or 0 if it is not locked.
+     */
+    lockedFor(key) {
+      const entry = failures.get(key);
+      if (!entry || !entry.lockedUntil) return 0;
+      const remaining = entry.lockedUntil - clock();
+      if (remaining > 0) return remaining;
+      failures.delete(key);
+      return 0;
+    },
+    /**
+     * Record a failure. Returns the lock duration if this failure locked the key, else 0.
+     */
+    fail(key) {
+      const now = clock();
+      const entry = failures.get(key) || { count: 0, lockedUntil: 0, lastFailureAt: 0 };
+      if (entry.lastFailureAt + lockMs <= now) entry.count = 0;
+      entry.count += 1;
+      entry.lastFailureAt = now;
+      failures.set(key, entry);
+      if (entry.count < maxFailures) return 0;
+      entry.count = 0;
+      entry.lockedUntil = now + lockMs;
+      return lockMs;
+    },
+    /**
+     * Record a success, clearing the failure count.
+     */
+    succeed(key) {
+      failures.delete(key);
+    },
+    /**
+     * Drop expired locks and failure counts.
+     */
+    prune() {
+      const now = clock();
+      failures.forEach((entry, key) => {
+        if (entry.lockedUntil <= now && entry.lastFailureAt + lockMs <= now) failures.delete(key);
+      });
+    },
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  createFailureLockout,
+};
@@ -0,0 +1,89 @@
+/**
+ * Request body schemas of the Synergy Squares API (see lib/validate.js).
+ */
+
+const { QUICK_SIGNALS } = require('./chat');
+const { WEBHOOK_EVENTS, checkWebhookUrl } = require('./webhooks');
+
+// Text shown to other players (nicknames, room names) may not contain
+// control characters.
+const DISPLAY_TEXT = /^[^\u0000-\u001f\u007f]*$/;
+const EMAIL = /^[^\s@]+@[^\s@]+$/;
+
+const nickname = {
+  type: 'string',
+  trim: true,
+  minLength: 1,
+  maxLength: 24,
+  pattern: DISPLAY_TEXT,
+  patternMessage: 'must not contain control characters',
+};
+const email = { type: 'string', trim: true, maxLength: 254, pattern: EMAIL, patternMessage: 'must be an email address' };
+const country = { type: 'string', trim: true, minLength: 1, maxLength: 64 };
+// Passwords are checked for length only when they are set, so accounts with
+// older, shorter passwords can still log in.
+const newPassword = { type: 'string', minLength: 6, maxLength: 200 };
+const password = { type: 'string', minLength: 1, maxLength: 200 };
+const playerId = { type: 'string', minLength: 1, maxLength: 64 };
+const mode = { type: 'string', oneOf: ['play', 'spectate'] };
+const reason = { type: 'string', trim: true, maxLength: 200, pattern: DISPLAY_TEXT };
+const webhookId = { type: 'string', minLength: 1, maxLength: 64 };
+
+const SCHEMAS = {
+  register: {
+    nickname: Object.assign({ required: true }, nickname),
+    email: Object.assign({ required: true }, email),
+    password: Object.assign({ required: true }, newPassword),
+    country: Object.assign({ required: true }, country),
+  },
+  login: {
+    email: Object.assign({ required: true }, email),
+    password: Object.assign({ required: true }, password),
+  },
+  updateProfile: { nickname, country },
+  changePassword: {
+    currentPassword: Object.assign({ required: true }, password),
+    newPassword: Object.assign({ required: true }, newPassword),
+  },
+  resetRequest: { email: Object.assign({ required: true }, email) },
+  resetPassword: {
+    token: { type: 'string', required: true, minLength: 1, maxLength: 128 },
+    newPassword: Object.assign({ required: true }, newPassword),
+  },
+  deleteAccount: { password: Object.assign({ required: true }, password) },
+  createRoom: {
+    name: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 40, pattern: DISPLAY_TEXT },
+    private: { type: 'boolean' },
+  },
+  join: { inviteCode: { type: 'string', trim: true, maxLength: 32 }, mode },
+  heartbeat: { mode },
+  hold: { squareIndex: { type: 'integer', required: true, min: 0 } },
+  release: {},
+  chatMessage: {
+    text: { type: 'string', trim: true, maxLength: 200, pattern: DISPLAY_TEXT, patternMessage: 'must not contain control characters' },
+    signal: { type: 'string', oneOf: Object.keys(QUICK_SIGNALS) },
+  },
+  chatMute: { playerId: Object.assign({ required: true }, playerId), muted: { type: 'boolean', required: true } },
+  startSeason: { name: { type: 'string', trim: true, maxLength: 40, pattern: DISPLAY_TEXT } },
+  adminKick: { playerId: Object.assign({ required: true }, playerId), reason },
+  adminBan: { playerId: Object.assign({ required: true }, playerId), reason },
+  adminLevel: {
+    roomId: { type: 'string', maxLength: 64 },
+    level: { type: 'integer', min: 1, max: 100000 },
+    squares: { type: 'integer', nullable: true, min: 1, max: 1024 },
+  },
+  adminWebhook: {
+    url: { type: 'string', required: true, trim: true, maxLength: 2048, check: checkWebhookUrl },
+    events: { type: 'array', required: true, minLength: 1, items: { type: 'string', oneOf: WEBHOOK_EVENTS } },
+    secret: { type: 'string', minLength: 16, maxLength: 200 },
+  },
+  adminWebhookId: { id: Object.assign({ required: true }, webhookId) },
+  adminLeaderboard: {
+    playerId: Object.assign({ required: true }, playerId),
+    levelsCompleted: { type: 'integer', required: true, min: 0, max: 1000000 },
+  },
+};
+
+module.exports = {
+  SCHEMAS,
+};
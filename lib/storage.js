@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File-backed storage for Synergy Squares.
+ *
+ * A storage backend is an object with these synchronous methods:
+ *   loadPlayers()          -> array of player records ([] when none are stored)
+ *   savePlayers(players)   persist the full player array
+ *   loadGameState()        -> last saved game state snapshot, or null
+ *   saveGameState(state)   persist a game state snapshot (plain JSON data)
+ *   loadCompletions()      -> array of level completion events, oldest first
+ *   appendCompletion(e)    durably append one completion event
+ *   loadSeasons()          -> saved seasons state, or null
+ *   saveSeasons(state)     persist the seasons state
+ *   loadAuditLog()         -> array of admin audit entries, oldest first
+ *   appendAuditLog(entry)  durably append one audit entry
+ *   loadAttempts()         -> array of finished level attempts, oldest first
+ *   appendAttempt(a)       durably append one finished level attempt
+ *   loadWebhooks()         -> array of registered webhooks ([] when none are stored)
+ *   saveWebhooks(hooks)    persist the full webhook array
+ * Any backend with the same shape (e.g. one built on SQLite) can be passed to
+ * createGameServer as `storage` in place of the JSON file backend below.
+ */
+
+/**
+ * Write a file atomically: write a temporary file next to it, flush it to
+ * disk, then rename it over the target. A crash leaves either the old or the
+ * new content, never a partial file.
+ */
+function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Read and parse a JSON file. Returns fallback if the file does not exist;
+ * throws if it exists but cannot be parsed, so bad data is never overwritten
+ * silently.
+ */
+function readJson(filePath, fallback) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+  return JSON.parse(content);
+}
+
+/**
+ * Read a JSON-lines file. A torn last line (from a crash mid-append) is skipped.
+ */
+function readJsonLines(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const records = [];
+  content.split('\n').forEach((line) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      // Ignore partial lines.
+    }
+  });
+  return records;
+}
+
+/**
+ * Durably append one record to a JSON-lines file.
+ */
+function appendJsonLine(filePath, record) {
+  const fd = fs.openSync(filePath, 'a+');
+  try {
+    // Start on a fresh line in case the previous append was torn.
+    const { size } = fs.fstatSync(fd);
+    const last = Buffer.alloc(1);
+    const torn = size > 0 && fs.readSync(fd, last, 0, 1, size - 1) === 1 && last[0] !== 0x0a;
+    fs.writeSync(fd, (torn ? '\n' : '') + JSON.stringify(record) + '\n');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Create the JSON file backend.
+ * Options: dataDir (directory for the files), and playersFile, gameStateFile,
+ * completionsFile, seasonsFile, auditFile, attemptsFile and webhooksFile (file
+ * names inside dataDir).
+ */
+function createJsonStorage(options = {}) {
+  const dataDir = options.dataDir || path.join(__dirname, '..');
+  const playersPath = path.join(dataDir, options.playersFile || 'players.json');
+  const gameStatePath = path.join(dataDir, options.gameStateFile || 'game-state.json');
+  const completionsPath = path.join(dataDir, options.completionsFile || 'completions.log');
+  const seasonsPath = path.join(dataDir, options.seasonsFile || 'seasons.json');
+  const auditPath = path.join(dataDir, options.auditFile || 'audit.log');
+  const attemptsPath = path.join(dataDir, options.attemptsFile || 'attempts.log');
+  const webhooksPath = path.join(dataDir, options.webhooksFile || 'webhooks.json');
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  return {
+    loadPlayers() {
+      const players = readJson(playersPath, []);
+      return Array.isArray(players) ? players : [];
+    },
+    savePlayers(players) {
+      writeFileAtomic(playersPath, JSON.stringify(players, null, 2));
+    },
+    loadGameState() {
+      return readJson(gameStatePath, null);
+    },
+    saveGameState(state) {
+      writeFileAtomic(gameStatePath, JSON.stringify(state, null, 2));
+    },
+    loadCompletions() {
+      return readJsonLines(completionsPath);
+    },
+    appendCompletion(event) {
+      appendJsonLine(completionsPath, event);
+    },
+    loadSeasons() {
+      return readJson(seasonsPath, null);
+    },
+    saveSeasons(state) {
+      writeFileAtomic(seasonsPath, JSON.stringify(state, null, 2));
+    },
+    loadAuditLog() {
+      return readJsonLines(auditPath);
+    },
+    appendAuditLog(entry) {
+      appendJsonLine(auditPath, entry);
+    },
+    loadAttempts() {
+      return readJsonLines(attemptsPath);
+    },
+    appendAttempt(attempt) {
+      appendJsonLine(attemptsPath, attempt);
+    },
+    loadWebhooks() {
+      const hooks = readJson(webhooksPath, []);
+      return Array.isArray(hooks) ? hooks : [];
+    },
+    saveWebhooks(hooks) {
+      writeFileAtomic(webhooksPath, JSON.stringify(hooks, null, 2));
+    },
+  };
+}
+
+/**
+ * Create a backend that keeps everything in memory, e.g. for tests or for
+ * servers whose state does not need to outlive the process. initial may seed
+ * it with { players, gameState, completions, seasons, auditLog, attempts, webhooks }.
+ * Values are copied in and out, so callers cannot change stored data.
+ */
+function createMemoryStorage(initial = {}) {
+  const copy = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+  const data = {
+    players: copy(initial.players) || [],
+    gameState: copy(initial.gameState),
+    completions: copy(initial.completions) || [],
+    seasons: copy(initial.seasons),
+    auditLog: copy(initial.auditLog) || [],
+    attempts: copy(initial.attempts) || [],
+    webhooks: copy(initial.webhooks) || [],
+  };
+  return {
+    loadPlayers: () => copy(data.players),
+    savePlayers: (players) => {
+      data.players = copy(players);
+    },
+    loadGameState: () => copy(data.gameState),
+    saveGameState: (state) => {
+      data.gameState = copy(state);
+    },
+    loadCompletions: () => copy(data.completions),
+    appendCompletion: (event) => data.completions.push(copy(event)),
+    loadSeasons: () => copy(data.seasons),
+    saveSeasons: (state) => {
+      data.seasons = copy(state);
+    },
+    loadAuditLog: () => copy(data.auditLog),
+    appendAuditLog: (entry) => data.auditLog.push(copy(entry)),
+    loadAttempts: () => copy(data.attempts),
+    appendAttempt: (attempt) => data.attempts.push(copy(attempt)),
+    loadWebhooks: () => copy(data.webhooks),
+    saveWebhooks: (hooks) => {
+      data.webhooks = copy(hooks);
+    },
+  };
+}
+
+module.exports = {
+  createJsonStorage,
+  createMemoryStorage,
+  writeFileAtomic,
+};
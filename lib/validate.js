@@ -0,0 +1,99 @@
+/**
+ * Minimal schema validation for JSON request bodies.
+ *
+ * A schema maps field names to rules:
+ *   type                  'string', 'integer', 'number', 'boolean' or 'array' (required)
+ *   required              the field must be present and not null
+ *   nullable              null is accepted and kept
+ *   trim                  strings are trimmed before the other checks
+ *   minLength, maxLength  string length bounds (item count bounds for arrays)
+ *   items                 rule every array item must pass
+ *   min, max              numeric bounds
+ *   pattern               RegExp a string must match, with patternMessage
+ *   check                 function(string) returning an error message, or null if it is valid
+ *   oneOf                 list of allowed values
+ * Fields not in the schema are dropped from the validated value.
+ */
+
+/**
+ * Check one field against its rule. Returns [value, error message or null].
+ */
+function checkField(value, rule) {
+  if (value === null && rule.nullable) return [null, null];
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return [value, 'must be a string'];
+      if (rule.trim) value = value.trim();
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return [value, rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters`];
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return [value, `must be at most ${rule.maxLength} characters`];
+      }
+      if (rule.pattern && !rule.pattern.test(value)) return [value, rule.patternMessage || 'has an invalid format'];
+      if (rule.check) {
+        const message = rule.check(value);
+        if (message) return [value, message];
+      }
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return [value, 'must be an integer'];
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return [value, 'must be a number'];
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return [value, 'must be true or false'];
+      break;
+    case 'array': {
+      if (!Array.isArray(value)) return [value, 'must be a list'];
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return [value, `must have at least ${rule.minLength} item${rule.minLength === 1 ? '' : 's'}`];
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return [value, `must have at most ${rule.maxLength} items`];
+      }
+      const items = [];
+      for (let i = 0; i < value.length; i++) {
+        const [item, message] = checkField(value[i], rule.items);
+        if (message) return [value, `item ${i + 1} ${message}`];
+        items.push(item);
+      }
+      return [items, null];
+    }
+    default:
+      throw new Error(`Unknown schema type: ${rule.type}`);
+  }
+  if (rule.min !== undefined && value < rule.min) return [value, `must be at least ${rule.min}`];
+  if (rule.max !== undefined && value > rule.max) return [value, `must be at most ${rule.max}`];
+  if (rule.oneOf && !rule.oneOf.includes(value)) return [value, `must be one of: ${rule.oneOf.join(', ')}`];
+  return [value, null];
+}
+
+/**
+ * Validate a parsed JSON body against a schema.
+ * Returns { value, errors } where errors is a list of { field, message }.
+ */
+function validate(data, schema) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: {}, errors: [{ field: null, message: 'Body must be a JSON object' }] };
+  }
+  const value = {};
+  const errors = [];
+  Object.keys(schema).forEach((field) => {
+    const rule = schema[field];
+    const raw = data[field];
+    if (raw === undefined || (raw === null && !rule.nullable)) {
+      if (rule.required) errors.push({ field, message: 'is required' });
+      return;
+    }
+    const [checked, message] = checkField(raw, rule);
+    if (message) errors.push({ field, message });
+    else value[field] = checked;
+  });
+  return { value, errors };
+}
+
+module.exports = {
+  validate,
+};
@@ -0,0 +1,278 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+/**
+ * Outgoing webhooks for Synergy Squares. Admins register endpoints with an
+ * event filter; each game event is queued as one delivery per matching
+ * webhook and POSTed as JSON { id, event, at, data } with the headers
+ *   X-Synergy-Event       the event name
+ *   X-Synergy-Delivery    the delivery id, the same on every retry
+ *   X-Synergy-Signature   sha256=<hex HMAC-SHA256 of the raw body, keyed with the webhook's secret>
+ * A 2xx answer delivers it; anything else (or no answer within timeoutMs) is
+ * retried after retryBaseMs, doubling each time, up to maxAttempts attempts.
+ */
+
+// Events webhooks can subscribe to. 'ping' is only sent on request, to test a webhook.
+const WEBHOOK_EVENTS = ['level.completed', 'leaderboard.leader', 'player.registered'];
+
+/**
+ * Why a webhook URL cannot be used (not an absolute http or https URL), or
+ * null if it can.
+ */
+function checkWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return 'must be a valid URL';
+  }
+  return url.protocol === 'http:' || url.protocol === 'https:' ? null : 'must be an http(s) URL';
+}
+
+/**
+ * Signature header value for a body.
+ */
+function signPayload(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Whether a signature header matches the body, compared in constant time.
+ */
+function verifySignature(secret, body, signature) {
+  const expected = Buffer.from(signPayload(secret, body));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Webhook as shown to admins: everything but the secret.
+ */
+function toPublicWebhook(hook) {
+  const { id, url, events, createdAt, createdBy } = hook;
+  return { id, url, events, createdAt, createdBy };
+}
+
+/**
+ * Create a dispatcher. Options:
+ *   hooks         registered webhooks to start with ({ id, url, events, secret, createdAt, createdBy })
+ *   onChange      called with the full list of webhooks whenever it changes, to persist it
+ *   maxAttempts   attempts per delivery before it is given up (default 5)
+ *   retryBaseMs   delay before the first retry (default 2000)
+ *   timeoutMs     how long to wait for an answer (default 5000)
+ *   logLimit      deliveries kept in the delivery log (default 500)
+ *   clock         function returning the current time in ms (default Date.now)
+ * The delivery log is kept in memory only.
+ */
+function createWebhookDispatcher({
+  hooks = [],
+  onChange = () => {},
+  maxAttempts = 5,
+  retryBaseMs = 2000,
+  timeoutMs = 5000,
+  logLimit = 500,
+  clock = Date.now,
+} = {}) {
+  let webhooks = hooks.slice();
+  const log = []; // Deliveries, oldest first
+  const retryTimers = new Set();
+  const inFlight = new Set();
+  let closed = false;
+
+  /**
+   * POST a delivery once; on failure schedule the next attempt or give up.
+   * Never throws: a webhook that cannot be reached at all just fails.
+   */
+  function attempt(delivery) {
+    const hook = webhooks.find((h) => h.id === delivery.webhookId);
+    if (!hook || closed) {
+      delivery.status = 'failed';
+      delivery.lastError = hook ? 'Server stopped' : 'Webhook removed';
+      delivery.nextAttemptAt = null;
+      return;
+    }
+    delivery.attempts += 1;
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(delivery.body),
+      'User-Agent': 'SynergySquares-Webhooks',
+      'X-Synergy-Event': delivery.event,
+      'X-Synergy-Delivery': delivery.id,
+      'X-Synergy-Signature': signPayload(hook.secret, delivery.body),
+    };
+    let finished = false;
+    const finish = (statusCode, error) => {
+      if (finished) return;
+      finished = true;
+      inFlight.delete(req);
+      delivery.lastStatusCode = statusCode;
+      delivery.lastError = error;
+      if (statusCode >= 200 && statusCode < 300) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = clock();
+        delivery.nextAttemptAt = null;
+        return;
+      }
+      if (delivery.attempts >= maxAttempts || closed) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        return;
+      }
+      const delay = retryBaseMs * 2 ** (delivery.attempts - 1);
+      delivery.nextAttemptAt = clock() + delay;
+      const timer = setTimeout(() => {
+        retryTimers.delete(timer);
+        attempt(delivery);
+      }, delay);
+      retryTimers.add(timer);
+    };
+    let req;
+    try {
+      const url = new URL(hook.url);
+      const transport = url.protocol === 'https:' ? https : http;
+      req = transport.request(url, { method: 'POST', headers, timeout: timeoutMs }, (res) => {
+        res.resume();
+        res.on('end', () => finish(res.statusCode, res.statusCode >= 300 ? `HTTP ${res.statusCode}` : null));
+      });
+    } catch (err) {
+      // A URL that cannot be requested (e.g. saved before URLs were checked)
+      // would fail every retry the same way, so the delivery is given up now.
+      delivery.status = 'failed';
+      delivery.lastError = err.message;
+      delivery.nextAttemptAt = null;
+      return;
+    }
+    req.on('timeout', () => req.destroy(new Error(`No answer within ${timeoutMs}ms`)));
+    req.on('error', (err) => finish(null, err.message));
+    inFlight.add(req);
+    req.end(delivery.body);
+  }
+
+  /**
+   * Queue one delivery of an event to a webhook and start its first attempt.
+   */
+  function enqueue(hook, event, data) {
+    const id = 'd_' + crypto.randomBytes(8).toString('hex');
+    const at = clock();
+    const delivery = {
+      id,
+      webhookId: hook.id,
+      event,
+      body: JSON.stringify({ id, event, at, data }),
+      status: 'pending',
+      attempts: 0,
+      createdAt: at,
+      deliveredAt: null,
+      nextAttemptAt: at,
+      lastStatusCode: null,
+      lastError: null,
+    };
+    log.push(delivery);
+    if (log.length > logLimit) log.shift();
+    attempt(delivery);
+    return delivery;
+  }
+
+  return {
+    /**
+     * Registered webhooks, without their secrets.
+     */
+    list() {
+      return webhooks.map(toPublicWebhook);
+    },
+
+    /**
+     * Register a webhook for some of WEBHOOK_EVENTS. A secret is generated
+     * unless one is given. Returns the full webhook, secret included. Throws if
+     * the URL is not an http(s) URL.
+     */
+    register({ url, events, secret, createdBy }) {
+      const problem = checkWebhookUrl(url);
+      if (problem) throw new Error(`Webhook URL ${problem}`);
+      const hook = {
+        id: 'wh_' + crypto.randomBytes(6).toString('hex'),
+        url,
+        events: events.filter((e, i) => WEBHOOK_EVENTS.includes(e) && events.indexOf(e) === i),
+        secret: secret || crypto.randomBytes(24).toString('hex'),
+        createdAt: clock(),
+        createdBy: createdBy || null,
+      };
+      webhooks.push(hook);
+      onChange(webhooks);
+      return hook;
+    },
+
+    /**
+     * Remove a webhook. Its pending retries are given up. Returns false if unknown.
+     */
+    remove(id) {
+      const before = webhooks.length;
+      webhooks = webhooks.filter((h) => h.id !== id);
+      if (webhooks.length === before) return false;
+      onChange(webhooks);
+      return true;
+    },
+
+    /**
+     * One webhook without its secret, or null if unknown.
+     */
+    get(id) {
+      const hook = webhooks.find((h) => h.id === id);
+      return hook ? toPublicWebhook(hook) : null;
+    },
+
+    /**
+     * Send an event to every webhook subscribed to it.
+     */
+    emit(event, data) {
+      if (closed) return;
+      webhooks.filter((h) => h.events.includes(event)).forEach((h) => enqueue(h, event, data));
+    },
+
+    /**
+     * Send a 'ping' event to one webhook. Returns the delivery, or null if unknown.
+     */
+    ping(id) {
+      const hook = webhooks.find((h) => h.id === id);
+      if (!hook || closed) return null;
+      return toPublicDelivery(enqueue(hook, 'ping', { webhookId: id }));
+    },
+
+    /**
+     * Delivery log, newest first, optionally for one webhook.
+     */
+    deliveries(webhookId) {
+      return log
+        .filter((d) => !webhookId || d.webhookId === webhookId)
+        .reverse()
+        .map(toPublicDelivery);
+    },
+
+    /**
+     * Stop retrying and abort requests in flight.
+     */
+    close() {
+      closed = true;
+      retryTimers.forEach((timer) => clearTimeout(timer));
+      retryTimers.clear();
+      inFlight.forEach((req) => req.destroy());
+    },
+  };
+}
+
+/**
+ * Delivery log entry as shown to admins, with the payload parsed.
+ */
+function toPublicDelivery(delivery) {
+  const { body, ...fields } = delivery;
+  return Object.assign(fields, { payload: JSON.parse(body) });
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  checkWebhookUrl,
+  signPayload,
+  verifySignature,
+  createWebhookDispatcher,
+};
@@ -0,0 +1,429 @@
+/*
+ * Admin panel for Synergy Squares.
+ * Lists online players and rooms, sends moderation actions (kick, ban,
+ * level changes, leaderboard edits) to the /admin endpoints and manages webhooks.
+ */
+
+// Shares the session token the game page keeps in sessionStorage.
+let sessionToken = sessionStorage.getItem('token');
+let auditOffset = 0;
+// Webhook whose deliveries are listed; null lists every webhook's.
+let deliveriesWebhookId = null;
+
+const AUDIT_PAGE_SIZE = 20;
+
+// DOM elements.
+const authDiv = document.getElementById('adminAuth');
+const panelDiv = document.getElementById('adminPanel');
+const loginForm = document.getElementById('adminLoginForm');
+const authMessage = document.getElementById('adminAuthMessage');
+const welcomeSpan = document.getElementById('adminWelcome');
+const refreshBtn = document.getElementById('adminRefreshBtn');
+const adminMessage = document.getElementById('adminMessage');
+const onlineTable = document.getElementById('onlineTable');
+const roomsTable = document.getElementById('adminRoomsTable');
+const bannedTable = document.getElementById('bannedTable');
+const auditTable = document.getElementById('auditTable');
+const auditPager = document.getElementById('auditPager');
+const levelForm = document.getElementById('levelForm');
+const levelRoomSelect = document.getElementById('levelRoom');
+const banForm = document.getElementById('banForm');
+const leaderboardForm = document.getElementById('leaderboardForm');
+const webhooksTable = document.getElementById('webhooksTable');
+const webhookForm = document.getElementById('webhookForm');
+const deliveriesTitle = document.getElementById('deliveriesTitle');
+const deliveriesTable = document.getElementById('deliveriesTable');
+
+/**
+ * Fetch wrapper that sends JSON and attaches the session token.
+ */
+function apiFetch(url, options = {}) {
+  const headers = Object.assign({ 'Content-Type': 'application/json' }, options.headers);
+  if (sessionToken) {
+    headers.Authorization = `Bearer ${sessionToken}`;
+  }
+  return fetch(url, Object.assign({}, options, { headers }));
+}
+
+/**
+ * POST an admin action and report the outcome, then refresh the panel.
+ */
+function postAction(url, body, successText) {
+  return apiFetch(url, { method: 'POST', body: JSON.stringify(body) })
+    .then((res) => res.json())
+    .then((data) => {
+      adminMessage.textContent = data.success ? successText : data.message || 'Action failed';
+      refresh();
+    })
+    .catch((err) => {
+      adminMessage.textContent = 'Error sending action';
+      console.error(err);
+    });
+}
+
+/**
+ * Check the stored session belongs to an admin and show the panel or login form.
+ */
+function start() {
+  if (!sessionToken) return showAuth('');
+  apiFetch('/me')
+    .then((res) => res.json())
+    .then((data) => {
+      if (!data.success) return showAuth('');
+      if (data.player.role !== 'admin') return showAuth('This account is not an admin.');
+      showPanel(data.player);
+    })
+    .catch((err) => {
+      console.error('Error checking session', err);
+      showAuth('Could not reach the server');
+    });
+}
+
+/**
+ * Display the login form with a message.
+ */
+function showAuth(message) {
+  panelDiv.classList.add('hidden');
+  authDiv.classList.remove('hidden');
+  authMessage.textContent = message;
+}
+
+/**
+ * Display the panel for the admin and load its data.
+ */
+function showPanel(player) {
+  authDiv.classList.add('hidden');
+  panelDiv.classList.remove('hidden');
+  welcomeSpan.textContent = `Signed in as ${player.nickname}`;
+  refresh();
+}
+
+loginForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const email = document.getElementById('adminEmail').value.trim();
+  const password = document.getElementById('adminPassword').value;
+  apiFetch('/login', { method: 'POST', body: JSON.stringify({ email, password }) })
+    .then((res) => res.json())
+    .then((data) => {
+      if (!data.success) return showAuth(data.message || 'Login failed');
+      sessionToken = data.token;
+      sessionStorage.setItem('token', sessionToken);
+      start();
+    })
+    .catch((err) => {
+      showAuth('Error during login');
+      console.error(err);
+    });
+});
+
+/**
+ * Reload players, rooms, webhooks and the audit log.
+ */
+function refresh() {
+  loadPlayers();
+  loadRooms();
+  loadWebhooks();
+  loadAudit();
+}
+
+refreshBtn.addEventListener('click', refresh);
+
+/**
+ * Fill a table with a header row and one row per item. Each column is
+ * [heading, item => text or DOM node].
+ */
+function renderTable(table, columns, items, emptyText) {
+  table.innerHTML = '';
+  if (!items || items.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.textContent = emptyText;
+    row.appendChild(cell);
+    table.appendChild(row);
+    return;
+  }
+  const header = document.createElement('tr');
+  columns.forEach(([heading]) => {
+    const th = document.createElement('th');
+    th.textContent = heading;
+    header.appendChild(th);
+  });
+  table.appendChild(header);
+  items.forEach((item) => {
+    const row = document.createElement('tr');
+    columns.forEach(([, value]) => {
+      const td = document.createElement('td');
+      const content = value(item);
+      if (content instanceof Node) td.appendChild(content);
+      else td.textContent = content === null || content === undefined ? '' : content;
+      row.appendChild(td);
+    });
+    table.appendChild(row);
+  });
+}
+
+/**
+ * Build a button that runs onClick.
+ */
+function actionButton(label, onClick) {
+  const btn = document.createElement('button');
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+/**
+ * Fetch and render online and banned players.
+ */
+function loadPlayers() {
+  apiFetch('/admin/players')
+    .then((res) => res.json())
+    .then((data) => {
+      renderTable(
+        onlineTable,
+        [
+          ['Player', (p) => `${p.nickname} (${p.id})`],
+          ['Country', (p) => p.country],
+          ['Room', (p) => p.roomName],
+          ['Square', (p) => (p.squareIndex === null ? '' : p.squareIndex + 1)],
+          ['Status', (p) => `${p.status}, ${p.presence}`],
+          [
+            '',
+            (p) => {
+              const span = document.createElement('span');
+              span.appendChild(actionButton('Kick', () => postAction('/admin/kick', { playerId: p.id }, `Kicked ${p.nickname}`)));
+              span.appendChild(actionButton('Ban', () => postAction('/admin/ban', { playerId: p.id }, `Banned ${p.nickname}`)));
+              return span;
+            },
+          ],
+        ],
+        data.online,
+        'Nobody is online'
+      );
+      renderTable(
+        bannedTable,
+        [
+          ['Player', (p) => `${p.nickname} (${p.id})`],
+          ['Since', (p) => new Date(p.banned.at).toLocaleString()],
+          ['Reason', (p) => p.banned.reason],
+          ['', (p) => actionButton('Unban', () => postAction('/admin/unban', { playerId: p.id }, `Unbanned ${p.nickname}`))],
+        ],
+        data.banned,
+        'No banned accounts'
+      );
+    })
+    .catch((err) => console.error('Error loading players', err));
+}
+
+/**
+ * Fetch and render every room, and fill the level form's room list.
+ */
+function loadRooms() {
+  apiFetch('/admin/rooms')
+    .then((res) => res.json())
+    .then((data) => {
+      renderTable(
+        roomsTable,
+        [
+          ['Room', (r) => `${r.name}${r.isPrivate ? ` (private, ${r.inviteCode})` : ''}`],
+          ['Level', (r) => r.level],
+          ['Mode', (r) => r.mode],
+          ['Squares', (r) => `${r.squaresCount}${r.squaresOverride ? ' (override)' : ''}`],
+          ['Players', (r) => `${r.playersOnline} / ${r.requiredPlayers}`],
+          [
+            '',
+            (r) => actionButton('Reset level', () => postAction('/admin/level', { roomId: r.id }, `Reset ${r.name}`)),
+          ],
+        ],
+        data.rooms,
+        'No rooms'
+      );
+      const selected = levelRoomSelect.value;
+      levelRoomSelect.innerHTML = '';
+      (data.rooms || []).forEach((r) => {
+        const option = document.createElement('option');
+        option.value = r.id;
+        option.textContent = r.name;
+        levelRoomSelect.appendChild(option);
+      });
+      if (selected) levelRoomSelect.value = selected;
+    })
+    .catch((err) => console.error('Error loading rooms', err));
+}
+
+/**
+ * Fetch and render the registered webhooks and their recent deliveries.
+ */
+function loadWebhooks() {
+  apiFetch('/admin/webhooks')
+    .then((res) => res.json())
+    .then((data) => {
+      renderTable(
+        webhooksTable,
+        [
+          ['URL', (w) => w.url],
+          ['Events', (w) => w.events.join(', ')],
+          ['Added', (w) => new Date(w.createdAt).toLocaleString()],
+          [
+            '',
+            (w) => {
+              const span = document.createElement('span');
+              span.appendChild(actionButton('Test', () => postAction('/admin/webhooks/test', { id: w.id }, `Sent a ping to ${w.url}`)));
+              span.appendChild(
+                actionButton('Deliveries', () => {
+                  deliveriesWebhookId = w.id;
+                  loadDeliveries();
+                })
+              );
+              span.appendChild(actionButton('Remove', () => postAction('/admin/webhooks/delete', { id: w.id }, `Removed ${w.url}`)));
+              return span;
+            },
+          ],
+        ],
+        data.webhooks,
+        'No webhooks'
+      );
+      if (deliveriesWebhookId && !(data.webhooks || []).some((w) => w.id === deliveriesWebhookId)) {
+        deliveriesWebhookId = null;
+      }
+      loadDeliveries();
+    })
+    .catch((err) => console.error('Error loading webhooks', err));
+}
+
+/**
+ * Fetch and render the delivery log, for one webhook when one is picked.
+ */
+function loadDeliveries() {
+  const query = deliveriesWebhookId ? `&webhook=${encodeURIComponent(deliveriesWebhookId)}` : '';
+  apiFetch(`/admin/webhooks/deliveries?limit=${AUDIT_PAGE_SIZE}${query}`)
+    .then((res) => res.json())
+    .then((data) => {
+      deliveriesTitle.textContent = deliveriesWebhookId ? `Recent deliveries of ${deliveriesWebhookId}` : 'Recent deliveries';
+      renderTable(
+        deliveriesTable,
+        [
+          ['Time', (d) => new Date(d.createdAt).toLocaleString()],
+          ['Event', (d) => d.event],
+          ['Status', (d) => `${d.status} after ${d.attempts} attempt${d.attempts === 1 ? '' : 's'}`],
+          ['Last answer', (d) => d.lastError || d.lastStatusCode],
+          ['Next attempt', (d) => (d.nextAttemptAt ? new Date(d.nextAttemptAt).toLocaleTimeString() : '')],
+        ],
+        data.deliveries,
+        'No deliveries yet'
+      );
+    })
+    .catch((err) => console.error('Error loading webhook deliveries', err));
+}
+
+/**
+ * Fetch and render the current page of the audit log.
+ */
+function loadAudit() {
+  apiFetch(`/admin/audit?limit=${AUDIT_PAGE_SIZE}&offset=${auditOffset}`)
+    .then((res) => res.json())
+    .then((data) => {
+      renderTable(
+        auditTable,
+        [
+          ['Time', (e) => new Date(e.at).toLocaleString()],
+          ['Admin', (e) => e.adminNickname],
+          ['Action', (e) => e.action],
+          [
+            'Details',
+            (e) => {
+              const { at, adminId, adminNickname, action, ...details } = e;
+              return JSON.stringify(details);
+            },
+          ],
+        ],
+        data.entries,
+        'No admin actions yet'
+      );
+      renderAuditPager(data);
+    })
+    .catch((err) => console.error('Error loading audit log', err));
+}
+
+/**
+ * Render previous/next controls for the audit log.
+ */
+function renderAuditPager(data) {
+  auditPager.innerHTML = '';
+  if (!data.entries) return;
+  const pages = Math.max(1, Math.ceil(data.total / data.limit));
+  const page = Math.floor(data.offset / data.limit) + 1;
+  const addButton = (label, offset, disabled) => {
+    const btn = actionButton(label, () => {
+      auditOffset = offset;
+      loadAudit();
+    });
+    btn.disabled = disabled;
+    auditPager.appendChild(btn);
+  };
+  addButton('Prev', Math.max(0, data.offset - data.limit), page <= 1);
+  const label = document.createElement('span');
+  label.textContent = ` Page ${page} of ${pages} `;
+  auditPager.appendChild(label);
+  addButton('Next', data.offset + data.limit, page >= pages);
+}
+
+levelForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const squares = document.getElementById('levelSquares').value;
+  postAction(
+    '/admin/level',
+    {
+      roomId: levelRoomSelect.value,
+      level: Number(document.getElementById('levelNumber').value),
+      squares: squares ? Number(squares) : null,
+    },
+    'Level updated'
+  );
+});
+
+banForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const action = e.submitter && e.submitter.dataset.action === 'unban' ? 'unban' : 'ban';
+  const playerId = document.getElementById('banPlayerId').value.trim();
+  const reason = document.getElementById('banReason').value.trim();
+  postAction(`/admin/${action}`, { playerId, reason }, action === 'ban' ? 'Player banned' : 'Player unbanned');
+});
+
+webhookForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const events = Array.from(webhookForm.querySelectorAll('#webhookEvents input:checked')).map((input) => input.value);
+  const body = { url: document.getElementById('webhookUrl').value.trim(), events };
+  const secret = document.getElementById('webhookSecret').value;
+  if (secret) body.secret = secret;
+  apiFetch('/admin/webhooks', { method: 'POST', body: JSON.stringify(body) })
+    .then((res) => res.json())
+    .then((data) => {
+      if (!data.success) {
+        adminMessage.textContent = data.message || 'Could not add the webhook';
+        return;
+      }
+      // The secret is only shown once, so the receiver can be configured now.
+      adminMessage.textContent = `Webhook added. Payloads are signed with the secret ${data.webhook.secret}`;
+      webhookForm.reset();
+      refresh();
+    })
+    .catch((err) => {
+      adminMessage.textContent = 'Error adding webhook';
+      console.error(err);
+    });
+});
+
+leaderboardForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  postAction(
+    '/admin/leaderboard',
+    {
+      playerId: document.getElementById('editPlayerId').value.trim(),
+      levelsCompleted: Number(document.getElementById('editLevels').value),
+    },
+    'Leaderboard entry updated'
+  );
+});
+
+start();
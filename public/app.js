@@ -1,58 +1,430 @@
 /*
  * Client-side logic for Synergy Squares.
- * Handles authentication, socket events, UI updates, and leaderboards.
+ * Handles authentication, the room lobby, live board events, UI updates, and leaderboards.
  */
 
 // Store global state.
 let currentPlayer = null;
+let sessionToken = null;
 let isHolding = false;
 let heldSquareIndex = null;
 let pollInterval = null;
+let eventSource = null;
+let reconnectTimer = null;
+let currentBoard = null;
+let completionTimer = null;
+let heartbeatInterval = null;
+let currentRoom = null;
+// Whether we watch the current room instead of playing. Guests always watch.
+let isSpectating = false;
+let countdownFrame = null;
+let timeLimitInterval = null;
+// Replay playback state: the attempt being replayed and the position in it.
+let replayAttempt = null;
+let replayTime = 0;
+let replayFrame = null;
+let replayLastTick = null;
+let lobbyChatInterval = null;
+// Players whose chat messages are hidden, as { id, nickname }.
+let mutedPlayers = [];
+// Level and held square count last announced to screen readers.
+let lastOccupancy = null;
+// Ids of the achievements this player has unlocked, null until first loaded.
+let unlockedAchievements = null;
+
+// Delay before retrying the event stream after it drops.
+const RECONNECT_DELAY_MS = 5000;
+// How often to tell the server we are still here.
+const HEARTBEAT_MS = 10000;
+// How often the lobby chat is refreshed while the lobby is shown.
+const LOBBY_CHAT_POLL_MS = 3000;
+// Messages kept on screen per chat panel.
+const CHAT_MAX_SHOWN = 100;
+// Rows per leaderboard page.
+const LEADERBOARD_PAGE_SIZE = 10;
+const leaderboardOffsets = { global: 0, country: 0 };
 
 // DOM elements.
 const authDiv = document.getElementById('auth');
 const gameDiv = document.getElementById('game');
+const lobbyDiv = document.getElementById('lobby');
+const lobbyWelcomeSpan = document.getElementById('lobbyWelcome');
+const lobbyLogoutBtn = document.getElementById('lobbyLogoutBtn');
+const lobbyLoginBtn = document.getElementById('lobbyLoginBtn');
+const watchBtn = document.getElementById('watchBtn');
+const modeBtn = document.getElementById('modeBtn');
+const roomForms = document.getElementById('roomForms');
+const accountDiv = document.getElementById('account');
+const achievementsDiv = document.getElementById('achievements');
+const badgeShelf = document.getElementById('badgeShelf');
+const toasts = document.getElementById('toasts');
+const adminLink = document.getElementById('adminLink');
+const roomsTable = document.getElementById('roomsTable');
+const refreshRoomsBtn = document.getElementById('refreshRoomsBtn');
+const createRoomForm = document.getElementById('createRoomForm');
+const joinCodeForm = document.getElementById('joinCodeForm');
+const lobbyMessage = document.getElementById('lobbyMessage');
+const roomInfo = document.getElementById('roomInfo');
+const lobbyBtn = document.getElementById('lobbyBtn');
 const loginForm = document.getElementById('loginForm');
 const registerForm = document.getElementById('registerForm');
 const authMessage = document.getElementById('authMessage');
 const logoutBtn = document.getElementById('logoutBtn');
 const welcomeSpan = document.getElementById('welcome');
 const levelInfo = document.getElementById('levelInfo');
+const gameModeInfo = document.getElementById('gameModeInfo');
 const playersInfo = document.getElementById('playersInfo');
+const timeInfo = document.getElementById('timeInfo');
+const holdProgress = document.getElementById('holdProgress');
+const holdProgressBar = document.getElementById('holdProgressBar');
+const activeList = document.getElementById('activeList');
+const waitingList = document.getElementById('waitingList');
+const spectatorList = document.getElementById('spectatorList');
 const boardDiv = document.getElementById('board');
+const boardView = createBoardView(boardDiv, { onPress: holdSquare, onRelease: releaseSquare });
 const completionMessage = document.getElementById('completionMessage');
+const announcer = document.getElementById('announcer');
+const contrastBtn = document.getElementById('contrastBtn');
 const globalTable = document.getElementById('globalTable');
 const countryTable = document.getElementById('countryTable');
+const globalPager = document.getElementById('globalPager');
+const countryPager = document.getElementById('countryPager');
+const myRankInfo = document.getElementById('myRank');
+const leaderboardWindow = document.getElementById('leaderboardWindow');
+const customRange = document.getElementById('customRange');
+const rangeFrom = document.getElementById('rangeFrom');
+const rangeTo = document.getElementById('rangeTo');
+const countriesTable = document.getElementById('countriesTable');
+const countrySort = document.getElementById('countrySort');
+const regCountrySelect = document.getElementById('regCountry');
+const resetRequestForm = document.getElementById('resetRequestForm');
+const resetForm = document.getElementById('resetForm');
+const profileForm = document.getElementById('profileForm');
+const passwordForm = document.getElementById('passwordForm');
+const deleteAccountForm = document.getElementById('deleteAccountForm');
+const accountNickname = document.getElementById('accountNickname');
+const accountCountrySelect = document.getElementById('accountCountry');
+const accountMessage = document.getElementById('accountMessage');
+const attemptsTable = document.getElementById('attemptsTable');
+const refreshReplaysBtn = document.getElementById('refreshReplaysBtn');
+const replayViewer = document.getElementById('replayViewer');
+const replayInfo = document.getElementById('replayInfo');
+const replayBoard = document.getElementById('replayBoard');
+const replayView = createBoardView(replayBoard, { label: 'Replay board' });
+const replayPlayBtn = document.getElementById('replayPlayBtn');
+const replaySeek = document.getElementById('replaySeek');
+const replaySpeed = document.getElementById('replaySpeed');
+const replayCloseBtn = document.getElementById('replayCloseBtn');
+const profileDiv = document.getElementById('profile');
+const profileName = document.getElementById('profileName');
+const profileStats = document.getElementById('profileStats');
+const profileSquares = document.getElementById('profileSquares');
+const profileTeammates = document.getElementById('profileTeammates');
+const profileCloseBtn = document.getElementById('profileCloseBtn');
+const profileBadges = document.getElementById('profileBadges');
+const chatSignals = document.getElementById('chatSignals');
+
+// Chat panels: the room's beside the board and the lobby's. lastId is the id
+// of the newest message shown, so refreshes only fetch what is new.
+const roomChat = {
+  url: () => roomUrl('/chat'),
+  list: document.getElementById('chatMessages'),
+  form: document.getElementById('chatForm'),
+  input: document.getElementById('chatInput'),
+  status: document.getElementById('chatStatus'),
+  muted: document.getElementById('chatMuted'),
+  lastId: 0,
+};
+const lobbyChat = {
+  url: () => '/chat/lobby',
+  list: document.getElementById('lobbyChatMessages'),
+  form: document.getElementById('lobbyChatForm'),
+  input: document.getElementById('lobbyChatInput'),
+  status: document.getElementById('lobbyChatStatus'),
+  muted: document.getElementById('lobbyChatMuted'),
+  lastId: 0,
+};
+
+/**
+ * Switch the high-contrast theme on or off.
+ */
+function applyHighContrast(on) {
+  document.body.classList.toggle('high-contrast', on);
+  contrastBtn.setAttribute('aria-pressed', String(on));
+  if (currentBoard) updateBoard(currentBoard);
+}
+
+contrastBtn.addEventListener('click', () => {
+  const on = !document.body.classList.contains('high-contrast');
+  localStorage.setItem('highContrast', on ? '1' : '0');
+  applyHighContrast(on);
+});
+// Follow the system preference until the player picks a theme.
+const storedContrast = localStorage.getItem('highContrast');
+applyHighContrast(storedContrast === null ? window.matchMedia('(prefers-contrast: more)').matches : storedContrast === '1');
 
-// Load player from sessionStorage if available.
-const storedPlayer = sessionStorage.getItem('player');
-if (storedPlayer) {
-  currentPlayer = JSON.parse(storedPlayer);
-  showGame();
-  startGame();
+// A password reset link opens the page with ?reset=<token>.
+const resetToken = new URLSearchParams(window.location.search).get('reset');
+
+// Resume the session from sessionStorage if a token is available.
+sessionToken = sessionStorage.getItem('token');
+if (resetToken) {
+  showAuth();
+  resetForm.classList.remove('hidden');
+} else if (sessionToken) {
+  apiFetch('/me')
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.success) {
+        currentPlayer = data.player;
+        enterApp();
+      } else {
+        clearSession();
+        showAuth();
+      }
+    })
+    .catch((err) => {
+      console.error('Error resuming session', err);
+      showAuth();
+    });
 } else {
   showAuth();
 }
 
 /**
- * Display authentication UI and hide game UI.
+ * Fetch wrapper that sends JSON and attaches the session token, if any.
+ */
+function apiFetch(url, options = {}) {
+  const headers = Object.assign({ 'Content-Type': 'application/json' }, options.headers);
+  if (sessionToken) {
+    headers.Authorization = `Bearer ${sessionToken}`;
+  }
+  return fetch(url, Object.assign({}, options, { headers }));
+}
+
+/**
+ * Remember the session issued by /login or /register.
+ */
+function setSession(data) {
+  sessionToken = data.token;
+  currentPlayer = data.player;
+  sessionStorage.setItem('token', sessionToken);
+}
+
+/**
+ * Forget the current session token and player.
+ */
+function clearSession() {
+  sessionToken = null;
+  currentPlayer = null;
+  unlockedAchievements = null;
+  sessionStorage.removeItem('token');
+  sessionStorage.removeItem('roomId');
+}
+
+/**
+ * Append the current room to an API path.
+ */
+function roomUrl(path) {
+  return `${path}?room=${encodeURIComponent(currentRoom ? currentRoom.id : '')}`;
+}
+
+/**
+ * After authenticating, go back to the room we were in or to the lobby.
+ */
+function enterApp() {
+  const storedRoomId = sessionStorage.getItem('roomId');
+  if (storedRoomId) {
+    startGame({ roomId: storedRoomId, spectate: sessionStorage.getItem('roomMode') === 'spectate' });
+  } else {
+    showLobby();
+  }
+}
+
+/**
+ * Display authentication UI and hide the lobby and game UI.
  */
 function showAuth() {
+  stopLobbyChat();
   authDiv.classList.remove('hidden');
+  lobbyDiv.classList.add('hidden');
+  gameDiv.classList.add('hidden');
+}
+
+/**
+ * Display the lobby and load the public room list. Guests (no session) can
+ * only watch, so the room and account forms are hidden for them.
+ */
+function showLobby(message) {
+  authDiv.classList.add('hidden');
   gameDiv.classList.add('hidden');
+  lobbyDiv.classList.remove('hidden');
+  lobbyMessage.textContent = message || '';
+  [roomForms, achievementsDiv, accountDiv, lobbyLogoutBtn].forEach((el) => el.classList.toggle('hidden', !currentPlayer));
+  lobbyLoginBtn.classList.toggle('hidden', Boolean(currentPlayer));
+  if (!currentPlayer) {
+    lobbyWelcomeSpan.textContent = 'Watching as a guest';
+    adminLink.classList.add('hidden');
+  }
+  if (currentPlayer) {
+    lobbyWelcomeSpan.textContent = `Welcome, ${currentPlayer.nickname} ${countryFlag(currentPlayer.country)}`;
+    adminLink.classList.toggle('hidden', currentPlayer.role !== 'admin');
+    accountNickname.value = currentPlayer.nickname;
+    accountCountrySelect.value = currentPlayer.country;
+    loadAchievements();
+  }
+  accountMessage.textContent = '';
+  loadRooms();
+  startLobbyChat();
 }
 
 /**
- * Display game UI and hide authentication UI.
+ * Display game UI and hide authentication and lobby UI.
  */
 function showGame() {
+  stopLobbyChat();
   authDiv.classList.add('hidden');
+  lobbyDiv.classList.add('hidden');
   gameDiv.classList.remove('hidden');
+  logoutBtn.classList.toggle('hidden', !currentPlayer);
+  modeBtn.classList.toggle('hidden', !currentPlayer);
+  roomChat.form.classList.toggle('hidden', !currentPlayer);
+  chatSignals.classList.toggle('hidden', !currentPlayer);
+  resetChat(roomChat);
+  loadMutedPlayers().then(() => loadChat(roomChat));
   if (currentPlayer) {
-    welcomeSpan.textContent = `Welcome, ${currentPlayer.nickname} (${currentPlayer.country})`;
+    welcomeSpan.textContent = `Welcome, ${currentPlayer.nickname} ${countryFlag(currentPlayer.country)}`;
+    loadAchievements();
+  } else {
+    welcomeSpan.textContent = 'Watching as a guest';
+  }
+  if (currentRoom) {
+    const invite = currentRoom.inviteCode ? ` (invite code: ${currentRoom.inviteCode})` : '';
+    roomInfo.textContent = `Room: ${currentRoom.name}${invite}`;
+  }
+}
+
+/**
+ * Fetch and render the public room list.
+ */
+function loadRooms() {
+  fetch('/rooms')
+    .then((res) => res.json())
+    .then((data) => renderRoomsTable(data.rooms))
+    .catch((err) => console.error('Error loading rooms', err));
+}
+
+/**
+ * Render the lobby's room table given an array of room summaries.
+ */
+function renderRoomsTable(rooms) {
+  roomsTable.innerHTML = '';
+  if (!rooms || rooms.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.textContent = 'No rooms';
+    row.appendChild(cell);
+    roomsTable.appendChild(row);
+    return;
   }
+  const header = document.createElement('tr');
+  ['Room', 'Level', 'Players', 'Watching', ''].forEach((text) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    header.appendChild(th);
+  });
+  roomsTable.appendChild(header);
+  rooms.forEach((room) => {
+    const row = document.createElement('tr');
+    const level = room.mode === 'classic' ? room.level : `${room.level} · ${room.mode}`;
+    [room.name, level, `${room.playersOnline} / ${room.requiredPlayers}`, room.spectatorCount].forEach((val) => {
+      const td = document.createElement('td');
+      td.textContent = val;
+      row.appendChild(td);
+    });
+    const actionCell = document.createElement('td');
+    if (currentPlayer) {
+      const joinBtn = document.createElement('button');
+      joinBtn.textContent = 'Play';
+      joinBtn.addEventListener('click', () => startGame({ roomId: room.id }));
+      actionCell.appendChild(joinBtn);
+    }
+    const watchRoomBtn = document.createElement('button');
+    watchRoomBtn.textContent = 'Watch';
+    watchRoomBtn.addEventListener('click', () => startGame({ roomId: room.id, spectate: true }));
+    actionCell.appendChild(watchRoomBtn);
+    row.appendChild(actionCell);
+    roomsTable.appendChild(row);
+  });
+}
+
+refreshRoomsBtn.addEventListener('click', loadRooms);
+
+/**
+ * Handle room creation form submission.
+ */
+createRoomForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const name = document.getElementById('roomName').value.trim();
+  const isPrivate = document.getElementById('roomPrivate').checked;
+  apiFetch('/rooms', {
+    method: 'POST',
+    body: JSON.stringify({ name, private: isPrivate }),
+  })
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.success) {
+        startGame({ roomId: data.room.id });
+      } else {
+        lobbyMessage.textContent = data.message || 'Could not create room';
+      }
+    })
+    .catch((err) => {
+      lobbyMessage.textContent = 'Error creating room';
+      console.error(err);
+    });
+});
+
+/**
+ * Handle join-by-invite-code form submission.
+ */
+joinCodeForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const inviteCode = document.getElementById('inviteCode').value.trim();
+  startGame({ inviteCode });
+});
+
+/**
+ * Flag emoji for an ISO 3166 alpha-2 code, built from regional indicator symbols.
+ */
+function countryFlag(code) {
+  if (!/^[A-Z]{2}$/.test(code || '')) return code || '';
+  return String.fromCodePoint(...Array.from(code).map((c) => 0x1f1e6 + c.charCodeAt(0) - 65));
+}
+
+/**
+ * Fill the registration and account country pickers from the server's ISO 3166 list.
+ */
+function loadCountryOptions() {
+  fetch('/countries')
+    .then((res) => res.json())
+    .then((data) => {
+      const sorted = data.countries.slice().sort((a, b) => a.name.localeCompare(b.name));
+      [regCountrySelect, accountCountrySelect].forEach((select) => {
+        sorted.forEach((c) => {
+          const option = document.createElement('option');
+          option.value = c.code;
+          option.textContent = `${countryFlag(c.code)} ${c.name}`;
+          select.appendChild(option);
+        });
+      });
+      if (currentPlayer) accountCountrySelect.value = currentPlayer.country;
+    })
+    .catch((err) => console.error('Error loading countries', err));
 }
 
+loadCountryOptions();
+
 /**
  * Show an authentication message.
  */
@@ -67,19 +439,16 @@ loginForm.addEventListener('submit', (e) => {
   e.preventDefault();
   const email = document.getElementById('loginEmail').value.trim();
   const password = document.getElementById('loginPassword').value;
-  fetch('/login', {
+  apiFetch('/login', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ email, password }),
   })
     .then((res) => res.json())
     .then((data) => {
       if (data.success) {
-        currentPlayer = data.player;
-        sessionStorage.setItem('player', JSON.stringify(currentPlayer));
+        setSession(data);
         setAuthMessage('');
-        showGame();
-        startGame();
+        enterApp();
       } else {
         setAuthMessage(data.message || 'Login failed');
       }
@@ -98,20 +467,17 @@ registerForm.addEventListener('submit', (e) => {
   const nickname = document.getElementById('regNickname').value.trim();
   const email = document.getElementById('regEmail').value.trim();
   const password = document.getElementById('regPassword').value;
-  const country = document.getElementById('regCountry').value.trim();
-  fetch('/register', {
+  const country = regCountrySelect.value;
+  apiFetch('/register', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ nickname, email, password, country }),
   })
     .then((res) => res.json())
     .then((data) => {
       if (data.success) {
-        currentPlayer = data.player;
-        sessionStorage.setItem('player', JSON.stringify(currentPlayer));
+        setSession(data);
         setAuthMessage('');
-        showGame();
-        startGame();
+        enterApp();
       } else {
         setAuthMessage(data.message || 'Registration failed');
       }
@@ -123,187 +489,1382 @@ registerForm.addEventListener('submit', (e) => {
 });
 
 /**
- * Start the game by polling the board periodically.
+ * Start the game in a room, given { roomId } or { inviteCode }, by joining it
+ * and subscribing to live board updates. With spectate the player joins as a
+ * spectator; guests can only watch and do not join at all.
  */
-function startGame() {
-  // First, join the game to mark this player as online.
-  fetch('/join', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ playerId: currentPlayer.id }),
-  })
+function startGame({ roomId, inviteCode, spectate }) {
+  if (!currentPlayer) {
+    watchRoom(roomId);
+    return;
+  }
+  const url = roomId ? `/join?room=${encodeURIComponent(roomId)}` : '/join';
+  const mode = spectate ? 'spectate' : 'play';
+  // First, join the room to mark this player as online.
+  apiFetch(url, { method: 'POST', body: JSON.stringify({ inviteCode, mode }) })
     .then((res) => res.json())
     .then((data) => {
       if (data.success) {
+        currentRoom = data.room;
+        isSpectating = Boolean(spectate);
+        sessionStorage.setItem('roomId', currentRoom.id);
+        sessionStorage.setItem('roomMode', mode);
+        showGame();
         updateBoard(data.board);
+        loadSeasons();
         loadLeaderboards();
-        // Start polling after successful join.
-        if (pollInterval) clearInterval(pollInterval);
-        fetchBoard();
-        pollInterval = setInterval(fetchBoard, 1000);
+        loadReplays();
+        connectEvents();
+        startHeartbeat();
       } else {
-        console.error('Join failed', data.message);
+        sessionStorage.removeItem('roomId');
+        showLobby(data.message || 'Could not join room');
       }
     })
     .catch((err) => console.error('Error joining game', err));
 }
 
 /**
- * Fetch the current board state from the server and update UI.
+ * Watch a room as a guest: fetch the board and follow the event stream,
+ * without joining or sending heartbeats.
  */
-function fetchBoard() {
-  fetch('/board')
+function watchRoom(roomId) {
+  apiFetch(`/board?room=${encodeURIComponent(roomId)}`)
     .then((res) => res.json())
     .then((board) => {
+      if (board.success === false) {
+        showLobby(board.message || 'Could not watch room');
+        return;
+      }
+      currentRoom = board.room;
+      isSpectating = true;
+      showGame();
       updateBoard(board);
+      loadSeasons();
+      loadLeaderboards();
+      loadReplays();
+      connectEvents();
     })
-    .catch((err) => console.error('Error fetching board', err));
+    .catch((err) => console.error('Error watching room', err));
 }
 
 /**
- * Render the board and status.
+ * Switch between playing and spectating in the current room.
  */
-function updateBoard(board) {
-  // Update level info and players info.
-  levelInfo.textContent = `Level: ${board.level} (squares: ${board.squaresCount})`;
-  playersInfo.textContent = `Players online: ${board.players.length} / ${board.squaresCount}`;
-  // Set grid template columns based on number of squares. We'll try to make a square grid.
-  const n = board.squaresCount;
-  const cols = Math.ceil(Math.sqrt(n));
-  boardDiv.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
-  // Clear existing squares.
-  boardDiv.innerHTML = '';
-  // Create squares.
-  for (let i = 0; i < n; i++) {
-    const sq = document.createElement('div');
-    sq.classList.add('square');
-    const occupantId = board.occupied[i];
-    if (occupantId) {
-      sq.classList.add('occupied');
-      // Find occupant's nickname.
-      const occupant = board.players.find((p) => p.id === occupantId);
-      sq.textContent = occupant ? occupant.nickname : 'Occupied';
-    }
-    // Add pointer event listeners if this client is allowed to interact.
-    if (!occupantId && currentPlayer && board.players.length === board.squaresCount) {
-      sq.addEventListener('pointerdown', () => {
-        if (!isHolding && currentPlayer) {
-          isHolding = true;
-          heldSquareIndex = i;
-          // Attempt to hold square via POST
-          fetch('/hold', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ playerId: currentPlayer.id, squareIndex: i }),
-          })
-            .then((res) => res.json())
-            .then((data) => {
-              if (data.success) {
-                updateBoard(data.board);
-                if (data.levelCompleted) {
-                  completionMessage.textContent = `Level ${board.level} completed! Starting next level with ${data.board.squaresCount} squares...`;
-                  setTimeout(() => {
-                    completionMessage.textContent = '';
-                    loadLeaderboards();
-                  }, 3000);
-                }
-              } else {
-                console.warn('Hold failed', data.message);
-              }
-            })
-            .catch((err) => console.error('Error holding square', err));
-        }
-      });
-    }
-    boardDiv.appendChild(sq);
-  }
-  // Always listen for pointerup/cancel on window to release hold.
-  window.onpointerup = window.onpointercancel = () => {
-    if (isHolding && currentPlayer) {
-      fetch('/release', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ playerId: currentPlayer.id }),
-      })
-        .then((res) => res.json())
-        .then((data) => {
-          if (data.success) {
-            updateBoard(data.board);
-          }
-        })
-        .catch((err) => console.error('Error releasing square', err));
+function toggleMode() {
+  const mode = isSpectating ? 'play' : 'spectate';
+  apiFetch(roomUrl('/join'), { method: 'POST', body: JSON.stringify({ mode }) })
+    .then((res) => res.json())
+    .then((data) => {
+      if (!data.success) {
+        showMessage(data.message || 'Could not switch');
+        return;
+      }
+      isSpectating = mode === 'spectate';
       isHolding = false;
       heldSquareIndex = null;
-    }
-  };
+      sessionStorage.setItem('roomMode', mode);
+      updateBoard(data.board);
+    })
+    .catch((err) => console.error('Error switching mode', err));
 }
 
+modeBtn.addEventListener('click', toggleMode);
+
 /**
- * Fetch and display leaderboards.
+ * Leave the current room and return to the lobby.
  */
-function loadLeaderboards() {
-  // Global leaderboard.
-  fetch('/leaderboard')
-    .then((res) => res.json())
-    .then((data) => {
-      renderLeaderboardTable(globalTable, data.players);
-    })
-    .catch((err) => console.error('Error loading global leaderboard', err));
-  // Leaderboard for player's country.
-  if (currentPlayer && currentPlayer.country) {
-    const country = encodeURIComponent(currentPlayer.country);
-    fetch(`/leaderboard?country=${country}`)
-      .then((res) => res.json())
-      .then((data) => {
-        renderLeaderboardTable(countryTable, data.players);
+function leaveRoom() {
+  disconnectEvents();
+  stopHeartbeat();
+  closeReplay();
+  const url = roomUrl('/leave');
+  currentRoom = null;
+  currentBoard = null;
+  sessionStorage.removeItem('roomId');
+  sessionStorage.removeItem('roomMode');
+  // Guests never joined, so there is nothing to leave.
+  if (!currentPlayer) return Promise.resolve();
+  return apiFetch(url, { method: 'POST' }).catch((err) => console.error('Error leaving room', err));
+}
+
+lobbyBtn.addEventListener('click', () => {
+  leaveRoom().then(() => showLobby());
+});
+
+watchBtn.addEventListener('click', () => showLobby());
+lobbyLoginBtn.addEventListener('click', showAuth);
+
+/**
+ * Send periodic heartbeats so the server keeps this player online.
+ */
+function startHeartbeat() {
+  stopHeartbeat();
+  heartbeatInterval = setInterval(() => {
+    apiFetch(roomUrl('/heartbeat'), { method: 'POST', body: JSON.stringify({ mode: isSpectating ? 'spectate' : 'play' }) })
+      .then((res) => {
+        if (res.ok) return;
+        return res.json().then((data) => {
+          // Clients without the event stream learn about kicks and bans here.
+          if (data.code === 'ACCOUNT_BANNED') onRemovedByAdmin('banned');
+          else if (data.code === 'KICKED') onRemovedByAdmin('kicked');
+          else showMessage(data.message || 'Heartbeat failed');
+        });
       })
-      .catch((err) => console.error('Error loading country leaderboard', err));
+      .catch((err) => console.error('Error sending heartbeat', err));
+  }, HEARTBEAT_MS);
+}
+
+/**
+ * Stop sending heartbeats.
+ */
+function stopHeartbeat() {
+  if (heartbeatInterval) {
+    clearInterval(heartbeatInterval);
+    heartbeatInterval = null;
   }
 }
 
 /**
- * Render a leaderboard table given an array of {nickname, country, levelsCompleted}.
+ * Open the server event stream. The server sends a full board snapshot on
+ * connect and diffs afterwards. If the stream drops we poll until it is back.
  */
-function renderLeaderboardTable(table, players) {
-  table.innerHTML = '';
-  if (!players || players.length === 0) {
-    const row = document.createElement('tr');
-    const cell = document.createElement('td');
-    cell.textContent = 'No players';
-    row.appendChild(cell);
-    table.appendChild(row);
+function connectEvents() {
+  if (!window.EventSource) {
+    startPolling();
     return;
   }
-  // Header
-  const header = document.createElement('tr');
-  ['#', 'Nickname', 'Country', 'Levels'].forEach((text) => {
-    const th = document.createElement('th');
-    th.textContent = text;
-    header.appendChild(th);
+  if (eventSource) eventSource.close();
+  // EventSource cannot send an Authorization header, so players pass their
+  // token in the URL; guests mark their stream so the server counts them as spectators.
+  const auth = currentPlayer && sessionToken ? `&token=${encodeURIComponent(sessionToken)}` : '&watch=1';
+  eventSource = new EventSource(roomUrl('/events') + auth);
+  eventSource.addEventListener('board', (e) => {
+    stopPolling();
+    updateBoard(JSON.parse(e.data));
+    // Catch up on messages sent while the stream was down.
+    if (roomChat.lastId > 0) loadChat(roomChat);
   });
-  table.appendChild(header);
-  // Rows
-  players.forEach((p, idx) => {
-    const row = document.createElement('tr');
-    [idx + 1, p.nickname, p.country, p.levelsCompleted].forEach((val) => {
-      const td = document.createElement('td');
-      td.textContent = val;
-      row.appendChild(td);
-    });
-    table.appendChild(row);
+  eventSource.addEventListener('chat', (e) => {
+    appendChatMessage(roomChat, JSON.parse(e.data));
+  });
+  eventSource.addEventListener('diff', (e) => {
+    if (!currentBoard) return;
+    updateBoard(Object.assign({}, currentBoard, JSON.parse(e.data)));
+  });
+  eventSource.addEventListener('levelCompleted', (e) => {
+    const data = JSON.parse(e.data);
+    showLevelCompleted(data.level, data.squaresCount);
+  });
+  eventSource.addEventListener('levelFailed', (e) => {
+    const data = JSON.parse(e.data);
+    showMessage(`Time is up on level ${data.level}! All squares were released, try again.`);
   });
+  eventSource.addEventListener('achievement', (e) => {
+    const data = JSON.parse(e.data);
+    if (currentPlayer && data.playerId === currentPlayer.id) {
+      loadAchievements();
+    } else {
+      showToast(`${data.nickname} unlocked ${data.achievement.icon} ${data.achievement.name}`);
+    }
+  });
+  eventSource.addEventListener('kicked', (e) => {
+    const data = JSON.parse(e.data);
+    if (currentPlayer && data.playerId === currentPlayer.id) onRemovedByAdmin(data.reason);
+  });
+  eventSource.onerror = () => {
+    eventSource.close();
+    eventSource = null;
+    startPolling();
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connectEvents, RECONNECT_DELAY_MS);
+  };
+}
+
+/**
+ * Leave the room after an admin kicked or banned this player.
+ */
+function onRemovedByAdmin(reason) {
+  disconnectEvents();
+  stopHeartbeat();
+  closeReplay();
+  currentRoom = null;
+  currentBoard = null;
+  sessionStorage.removeItem('roomId');
+  sessionStorage.removeItem('roomMode');
+  if (reason === 'banned') {
+    clearSession();
+    showAuth();
+    setAuthMessage('Your account has been banned.');
+  } else {
+    showLobby(`You were removed from the room by an admin${reason === 'kicked' ? '' : `: ${reason}`}.`);
+  }
+}
+
+/**
+ * Close the event stream and stop any fallback polling.
+ */
+function disconnectEvents() {
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+  stopPolling();
+}
+
+/**
+ * Poll the board every second; used while the event stream is unavailable.
+ */
+function startPolling() {
+  if (pollInterval) return;
+  fetchBoard();
+  pollInterval = setInterval(() => {
+    fetchBoard();
+    loadChat(roomChat);
+  }, 1000);
 }
 
 /**
- * Handle logout: clear session and reload page.
+ * Stop fallback polling.
  */
-logoutBtn.addEventListener('click', () => {
-  sessionStorage.removeItem('player');
-  // Stop polling
+function stopPolling() {
   if (pollInterval) {
     clearInterval(pollInterval);
     pollInterval = null;
   }
-  currentPlayer = null;
-  window.location.reload();
-});
+}
+
+/**
+ * Announce a completed level and refresh the leaderboards shortly after.
+ */
+function showLevelCompleted(level, squaresCount) {
+  showMessage(`Level ${level} completed! Starting next level with ${squaresCount} squares...`);
+}
+
+/**
+ * Show a game message for a few seconds, then refresh the leaderboards and
+ * the replay list.
+ */
+function showMessage(text) {
+  completionMessage.textContent = text;
+  if (completionTimer) clearTimeout(completionTimer);
+  completionTimer = setTimeout(() => {
+    completionMessage.textContent = '';
+    completionTimer = null;
+    loadLeaderboards();
+    loadReplays();
+    if (currentPlayer) loadAchievements();
+  }, 3000);
+}
+
+/**
+ * Fetch the current board state from the server and update UI.
+ */
+function fetchBoard() {
+  apiFetch(roomUrl('/board'))
+    .then((res) => res.json())
+    .then((board) => {
+      if (board.success === false) return;
+      updateBoard(board);
+    })
+    .catch((err) => console.error('Error fetching board', err));
+}
+
+/**
+ * Render the board and status.
+ */
+function updateBoard(board) {
+  currentBoard = board;
+  // Update level info and players info.
+  const holdSeconds = board.holdMs / 1000;
+  levelInfo.textContent = `Level: ${board.level} (squares: ${board.requiredPlayers}, hold together ${holdSeconds}s)`;
+  gameModeInfo.textContent = board.mode.id === 'classic' ? '' : `${board.mode.name}: ${board.mode.description}`;
+  renderCountdown(board);
+  renderTimeLimit(board);
+  const me = currentPlayer ? board.players.find((p) => p.id === currentPlayer.id) : null;
+  const queueNote = me && me.status === 'waiting' ? ` · You are #${me.queuePosition} in queue` : '';
+  playersInfo.textContent =
+    `Squad: ${board.activeCount} / ${board.requiredPlayers} · Waiting: ${board.waitingCount}` +
+    ` · Watching: ${board.spectatorCount}${queueNote}`;
+  renderRoster(board);
+  renderModeButton(board);
+  announceOccupancy(board);
+  const occupants = {};
+  Object.keys(board.occupied).forEach((index) => {
+    const occupant = board.players.find((p) => p.id === board.occupied[index]);
+    // Country mode is about who holds which row, so holders show their country.
+    const country = board.mode.id === 'country' && occupant && occupant.country ? ` (${occupant.country})` : '';
+    occupants[index] = {
+      label: occupant ? occupant.nickname + country : 'Occupied',
+      away: Boolean(occupant && occupant.presence === 'away'),
+    };
+  });
+  boardView.render({
+    squaresCount: board.squaresCount,
+    layout: board.layout,
+    occupants,
+    marks: getModeMarks(board.mode, board.occupied, board.squaresCount),
+    playable: Boolean(me && me.status === 'active') && board.activeCount === board.requiredPlayers,
+  });
+}
+
+/**
+ * Board marks for a level's game mode (see createBoardView): the numbered
+ * sequence in ordered mode, lit targets in pattern mode, where the other
+ * squares are locked, and holders sharing a country within a row in country
+ * mode. occupied maps square index -> player id.
+ */
+function getModeMarks(mode, occupied, squaresCount) {
+  const marks = {};
+  if (!mode) return marks;
+  if (mode.id === 'ordered') {
+    const next = mode.order.find((index) => !occupied[index]);
+    mode.order.forEach((index, n) => {
+      marks[index] =
+        index === next
+          ? { type: 'next', badge: String(n + 1), label: `next to take, number ${n + 1}` }
+          : { type: 'order', badge: String(n + 1), label: `number ${n + 1} in order` };
+    });
+  } else if (mode.id === 'pattern') {
+    for (let index = 0; index < squaresCount; index++) {
+      marks[index] = mode.targets.includes(index)
+        ? { type: 'target', badge: '', label: 'lit, must be held' }
+        : { type: 'unlit', badge: '', label: 'not lit, cannot be held', locked: true };
+    }
+  } else if (mode.id === 'country') {
+    mode.conflicts.forEach((index) => {
+      marks[index] = { type: 'conflict', badge: '!', label: 'country repeated in this row' };
+    });
+  }
+  return marks;
+}
+
+/**
+ * Try to hold a square. The board view calls releaseSquare when the pointer
+ * or key that pressed it is let go.
+ */
+function holdSquare(index) {
+  if (isHolding || !currentPlayer) return;
+  isHolding = true;
+  heldSquareIndex = index;
+  const { level } = currentBoard;
+  apiFetch(roomUrl('/hold'), {
+    method: 'POST',
+    body: JSON.stringify({ squareIndex: index }),
+  })
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.success) {
+        announce(`You are holding square ${index + 1}`);
+        updateBoard(data.board);
+        if (data.levelCompleted) {
+          showLevelCompleted(level, data.board.squaresCount);
+        }
+      } else {
+        announce(`Could not hold square ${index + 1}: ${data.message}`);
+        console.warn('Hold failed', data.message);
+      }
+    })
+    .catch((err) => console.error('Error holding square', err));
+}
+
+/**
+ * Let go of the held square.
+ */
+function releaseSquare() {
+  if (!isHolding || !currentPlayer) return;
+  apiFetch(roomUrl('/release'), { method: 'POST' })
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.success) {
+        updateBoard(data.board);
+      }
+    })
+    .catch((err) => console.error('Error releasing square', err));
+  isHolding = false;
+  heldSquareIndex = null;
+}
+
+/**
+ * Read a short update out to screen reader users.
+ */
+function announce(text) {
+  announcer.textContent = text;
+}
+
+/**
+ * Announce how many squares are held whenever that changes.
+ */
+function announceOccupancy(board) {
+  const held = Object.keys(board.occupied).length;
+  const key = `${board.level}:${held}`;
+  if (key === lastOccupancy) return;
+  lastOccupancy = key;
+  announce(`${held} of ${board.requiredPlayers} squares held`);
+}
+
+/**
+ * Label the play/spectate switch, pointing out when the squad has a free slot.
+ */
+function renderModeButton(board) {
+  const slotOpen = board.activeCount < board.requiredPlayers && board.waitingCount === 0;
+  modeBtn.textContent = isSpectating ? (slotOpen ? 'Join the game (slot open!)' : 'Join the game') : 'Spectate';
+  modeBtn.classList.toggle('slot-open', isSpectating && slotOpen);
+}
+
+/**
+ * Show the shared hold progress while every square is held. The server sends
+ * the elapsed time when the state was built; we animate on from there.
+ */
+function renderCountdown(board) {
+  if (countdownFrame) {
+    cancelAnimationFrame(countdownFrame);
+    countdownFrame = null;
+  }
+  if (!board.countdown || board.holdMs === 0) {
+    holdProgress.classList.add('hidden');
+    holdProgressBar.style.width = '0%';
+    return;
+  }
+  holdProgress.classList.remove('hidden');
+  const receivedAt = performance.now();
+  const { elapsedMs } = board.countdown;
+  const step = () => {
+    const elapsed = Math.min(elapsedMs + (performance.now() - receivedAt), board.holdMs);
+    holdProgressBar.style.width = `${(elapsed / board.holdMs) * 100}%`;
+    countdownFrame = elapsed < board.holdMs ? requestAnimationFrame(step) : null;
+  };
+  step();
+}
+
+/**
+ * Show the time left on timed levels, ticking down locally between updates.
+ */
+function renderTimeLimit(board) {
+  if (timeLimitInterval) {
+    clearInterval(timeLimitInterval);
+    timeLimitInterval = null;
+  }
+  if (board.timeLimitMs === null) {
+    timeInfo.textContent = '';
+    return;
+  }
+  if (board.timeRemainingMs === null) {
+    timeInfo.textContent = `Time limit: ${Math.round(board.timeLimitMs / 1000)}s`;
+    return;
+  }
+  const deadline = performance.now() + board.timeRemainingMs;
+  const tick = () => {
+    const seconds = Math.max(0, Math.ceil((deadline - performance.now()) / 1000));
+    timeInfo.textContent = `Time left: ${seconds}s`;
+  };
+  tick();
+  timeLimitInterval = setInterval(tick, 1000);
+}
+
+/**
+ * List the room's active squad, waiting queue (in queue order) and spectators.
+ */
+function renderRoster(board) {
+  const fill = (list, players) => {
+    list.innerHTML = '';
+    players.forEach((p) => {
+      const li = document.createElement('li');
+      // Dev bots have no profile to link to.
+      li.appendChild(p.isBot ? document.createTextNode(`${p.nickname} 🤖`) : playerLink(p));
+      li.appendChild(document.createTextNode(` ${countryFlag(p.country)}`));
+      if (p.presence === 'away') li.classList.add('away');
+      list.appendChild(li);
+    });
+  };
+  fill(activeList, board.players.filter((p) => p.status === 'active'));
+  fill(
+    waitingList,
+    board.players.filter((p) => p.status === 'waiting').sort((a, b) => a.queuePosition - b.queuePosition)
+  );
+  fill(spectatorList, board.spectators);
+  const guests = board.spectatorCount - board.spectators.length;
+  if (guests > 0) {
+    const li = document.createElement('li');
+    li.textContent = `${guests} guest${guests === 1 ? '' : 's'}`;
+    spectatorList.appendChild(li);
+  }
+}
+
+/**
+ * Clear a chat panel, so the next load fetches the whole history.
+ */
+function resetChat(panel) {
+  panel.list.innerHTML = '';
+  panel.lastId = 0;
+}
+
+/**
+ * Fetch the messages a chat panel has not shown yet. The room chat also
+ * learns the quick signals it can offer.
+ */
+function loadChat(panel) {
+  const url = panel.url();
+  apiFetch(`${url}${url.includes('?') ? '&' : '?'}since=${panel.lastId}`)
+    .then((res) => res.json())
+    .then((data) => {
+      if (!data.messages) return;
+      data.messages.forEach((message) => appendChatMessage(panel, message));
+      if (panel === roomChat && data.signals) renderChatSignals(data.signals);
+    })
+    .catch((err) => console.error('Error loading chat', err));
+}
+
+/**
+ * Add a message to a chat panel, unless it was shown already or its sender
+ * is muted. Other players' messages get a button to mute them.
+ */
+function appendChatMessage(panel, message) {
+  if (message.id <= panel.lastId) return;
+  panel.lastId = message.id;
+  if (mutedPlayers.some((m) => m.id === message.playerId)) return;
+  const li = document.createElement('li');
+  li.dataset.playerId = message.playerId;
+  if (message.signal) li.classList.add('signal');
+  li.appendChild(playerLink({ id: message.playerId, nickname: message.nickname }));
+  li.appendChild(document.createTextNode(` ${countryFlag(message.country)}: ${message.text}`));
+  if (currentPlayer && message.playerId !== currentPlayer.id) {
+    const muteBtn = document.createElement('button');
+    muteBtn.className = 'chat-mute';
+    muteBtn.textContent = 'Mute';
+    muteBtn.addEventListener('click', () => setMuted(message.playerId, true));
+    li.appendChild(muteBtn);
+  }
+  const atBottom = panel.list.scrollTop + panel.list.clientHeight >= panel.list.scrollHeight - 5;
+  panel.list.appendChild(li);
+  while (panel.list.children.length > CHAT_MAX_SHOWN) panel.list.removeChild(panel.list.firstChild);
+  if (atBottom) panel.list.scrollTop = panel.list.scrollHeight;
+}
+
+/**
+ * Render the quick signal buttons of the room chat.
+ */
+function renderChatSignals(signals) {
+  if (chatSignals.children.length > 0) return;
+  Object.keys(signals).forEach((signal) => {
+    const btn = document.createElement('button');
+    btn.textContent = signals[signal];
+    btn.addEventListener('click', () => sendChat(roomChat, { signal }));
+    chatSignals.appendChild(btn);
+  });
+}
+
+/**
+ * Post a chat message ({ text } or { signal }) and show it at once.
+ */
+function sendChat(panel, body) {
+  apiFetch(panel.url(), { method: 'POST', body: JSON.stringify(body) })
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.success) {
+        appendChatMessage(panel, data.message);
+        panel.status.textContent = '';
+      } else {
+        panel.status.textContent = data.message || 'Could not send message';
+      }
+    })
+    .catch((err) => console.error('Error sending chat message', err));
+}
+
+[roomChat, lobbyChat].forEach((panel) => {
+  panel.form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = panel.input.value.trim();
+    if (!text) return;
+    panel.input.value = '';
+    sendChat(panel, { text });
+  });
+});
+
+/**
+ * Mute or unmute a player's chat messages, then redraw the chat panels.
+ */
+function setMuted(playerId, muted) {
+  apiFetch('/chat/mute', { method: 'POST', body: JSON.stringify({ playerId, muted }) })
+    .then((res) => res.json())
+    .then((data) => {
+      if (!data.success) return;
+      mutedPlayers = data.muted;
+      [roomChat, lobbyChat].forEach((panel) => {
+        renderMutedList(panel);
+        resetChat(panel);
+      });
+      loadChat(lobbyDiv.classList.contains('hidden') ? roomChat : lobbyChat);
+    })
+    .catch((err) => console.error('Error muting player', err));
+}
+
+/**
+ * Fetch the players this account has muted. Resolves once they are known.
+ */
+function loadMutedPlayers() {
+  if (!currentPlayer) return Promise.resolve();
+  return apiFetch('/chat/mute')
+    .then((res) => res.json())
+    .then((data) => {
+      if (!data.success) return;
+      mutedPlayers = data.muted;
+      [roomChat, lobbyChat].forEach(renderMutedList);
+    })
+    .catch((err) => console.error('Error loading muted players', err));
+}
+
+/**
+ * List muted players under a chat panel, each with an unmute button.
+ */
+function renderMutedList(panel) {
+  panel.muted.innerHTML = '';
+  if (mutedPlayers.length === 0) return;
+  panel.muted.appendChild(document.createTextNode('Muted: '));
+  mutedPlayers.forEach((m) => {
+    const btn = document.createElement('button');
+    btn.className = 'chat-mute';
+    btn.textContent = `${m.nickname} ✕`;
+    btn.title = 'Unmute';
+    btn.addEventListener('click', () => setMuted(m.id, false));
+    panel.muted.appendChild(btn);
+  });
+}
+
+/**
+ * Show the lobby chat and keep refreshing it while the lobby is open.
+ */
+function startLobbyChat() {
+  stopLobbyChat();
+  lobbyChat.form.classList.toggle('hidden', !currentPlayer);
+  resetChat(lobbyChat);
+  loadMutedPlayers().then(() => loadChat(lobbyChat));
+  lobbyChatInterval = setInterval(() => loadChat(lobbyChat), LOBBY_CHAT_POLL_MS);
+}
+
+/**
+ * Stop refreshing the lobby chat.
+ */
+function stopLobbyChat() {
+  if (lobbyChatInterval) {
+    clearInterval(lobbyChatInterval);
+    lobbyChatInterval = null;
+  }
+}
+
+/**
+ * Fetch and list the most recent level attempts in the current room.
+ */
+function loadReplays() {
+  if (!currentRoom) return;
+  apiFetch(`/attempts?room=${encodeURIComponent(currentRoom.id)}&limit=10`)
+    .then((res) => res.json())
+    .then((data) => renderAttemptsTable(data.attempts))
+    .catch((err) => console.error('Error loading replays', err));
+}
+
+refreshReplaysBtn.addEventListener('click', loadReplays);
+
+/**
+ * Render the replay list given an array of attempt summaries.
+ */
+function renderAttemptsTable(attempts) {
+  attemptsTable.innerHTML = '';
+  if (!attempts || attempts.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.textContent = 'No attempts recorded yet';
+    row.appendChild(cell);
+    attemptsTable.appendChild(row);
+    return;
+  }
+  const header = document.createElement('tr');
+  ['Level', 'Started', 'Duration', 'Outcome', 'Players', ''].forEach((text) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    header.appendChild(th);
+  });
+  attemptsTable.appendChild(header);
+  attempts.forEach((a) => {
+    const row = document.createElement('tr');
+    const duration = a.endedAt ? `${Math.round((a.endedAt - a.startedAt) / 1000)}s` : '';
+    [a.level, new Date(a.startedAt).toLocaleTimeString(), duration, a.outcome || 'in progress', a.playerCount].forEach(
+      (val) => {
+        const td = document.createElement('td');
+        td.textContent = val;
+        row.appendChild(td);
+      }
+    );
+    const actionCell = document.createElement('td');
+    const replayBtn = document.createElement('button');
+    replayBtn.textContent = 'Replay';
+    replayBtn.addEventListener('click', () => openReplay(a.id));
+    actionCell.appendChild(replayBtn);
+    row.appendChild(actionCell);
+    attemptsTable.appendChild(row);
+  });
+}
+
+/**
+ * Load an attempt's event stream and start playing it from the beginning.
+ */
+function openReplay(attemptId) {
+  apiFetch(`/attempts/${encodeURIComponent(attemptId)}`)
+    .then((res) => res.json())
+    .then((data) => {
+      if (!data.success) return showMessage(data.message || 'Could not load replay');
+      replayAttempt = data.attempt;
+      replayTime = 0;
+      replaySeek.max = replayDuration();
+      replayViewer.classList.remove('hidden');
+      playReplay();
+    })
+    .catch((err) => console.error('Error loading replay', err));
+}
+
+/**
+ * Length of the loaded replay in milliseconds.
+ */
+function replayDuration() {
+  const { events, startedAt, endedAt } = replayAttempt;
+  const lastAt = events.length > 0 ? events[events.length - 1].at : startedAt;
+  return (endedAt || lastAt) - startedAt;
+}
+
+/**
+ * Rebuild the board of the loaded attempt at `time` ms after it started by
+ * applying its events in order. Returns { occupied, nicknames, lastEvent }.
+ */
+function replayStateAt(time) {
+  const occupied = {};
+  const nicknames = {};
+  let lastEvent = null;
+  replayAttempt.initialPlayers.forEach((p) => {
+    nicknames[p.id] = p.nickname;
+  });
+  const until = replayAttempt.startedAt + time;
+  for (const event of replayAttempt.events) {
+    if (event.at > until) break;
+    lastEvent = event;
+    if (event.type === 'join') {
+      nicknames[event.playerId] = event.nickname;
+    } else if (event.type === 'hold') {
+      occupied[event.squareIndex] = event.playerId;
+    } else if (event.type === 'release') {
+      if (occupied[event.squareIndex] === event.playerId) delete occupied[event.squareIndex];
+    } else if (['leave', 'evict', 'kick', 'ban'].includes(event.type)) {
+      Object.keys(occupied).forEach((index) => {
+        if (occupied[index] === event.playerId) delete occupied[index];
+      });
+    }
+  }
+  return { occupied, nicknames, lastEvent };
+}
+
+/**
+ * Describe a replay event for the status line.
+ */
+function describeReplayEvent(event, nicknames) {
+  const who = nicknames[event.playerId] || 'A player';
+  switch (event.type) {
+    case 'join':
+      return `${who} joined`;
+    case 'hold':
+      return `${who} held square ${event.squareIndex + 1}`;
+    case 'release':
+      return `${who} released square ${event.squareIndex + 1}`;
+    case 'leave':
+      return `${who} left`;
+    case 'evict':
+      return `${who} went idle`;
+    case 'kick':
+      return `${who} was kicked`;
+    case 'ban':
+      return `${who} was banned`;
+    case 'complete':
+      return 'Level completed!';
+    case 'fail':
+      return 'Time ran out';
+    default:
+      return event.type;
+  }
+}
+
+/**
+ * Draw the loaded attempt's board at the current replay time.
+ */
+function renderReplayFrame() {
+  const { occupied, nicknames, lastEvent } = replayStateAt(replayTime);
+  const { layout, squaresCount } = replayAttempt;
+  const seconds = (ms) => (ms / 1000).toFixed(1);
+  const note = lastEvent ? ` · ${describeReplayEvent(lastEvent, nicknames)}` : '';
+  replayInfo.textContent = `Level ${replayAttempt.level} · ${seconds(replayTime)}s / ${seconds(replayDuration())}s${note}`;
+  replaySeek.value = replayTime;
+  const occupants = {};
+  Object.keys(occupied).forEach((index) => {
+    occupants[index] = { label: nicknames[occupied[index]] || 'Occupied', away: false };
+  });
+  const marks = getModeMarks(replayAttempt.mode, occupied, squaresCount);
+  replayView.render({ squaresCount, layout, occupants, marks, playable: false });
+}
+
+/**
+ * Advance the replay by the time since the last frame, scaled by the speed.
+ */
+function stepReplay(now) {
+  if (replayLastTick !== null) {
+    replayTime = Math.min(replayTime + (now - replayLastTick) * Number(replaySpeed.value), replayDuration());
+  }
+  replayLastTick = now;
+  renderReplayFrame();
+  if (replayTime >= replayDuration()) {
+    pauseReplay();
+    return;
+  }
+  replayFrame = requestAnimationFrame(stepReplay);
+}
+
+/**
+ * Start or resume playback, from the beginning if the replay had finished.
+ */
+function playReplay() {
+  if (!replayAttempt) return;
+  if (replayTime >= replayDuration()) replayTime = 0;
+  if (replayFrame) cancelAnimationFrame(replayFrame);
+  replayLastTick = null;
+  replayPlayBtn.textContent = 'Pause';
+  replayFrame = requestAnimationFrame(stepReplay);
+}
+
+/**
+ * Stop playback at the current position.
+ */
+function pauseReplay() {
+  if (replayFrame) cancelAnimationFrame(replayFrame);
+  replayFrame = null;
+  replayPlayBtn.textContent = 'Play';
+}
+
+/**
+ * Stop playback and hide the replay viewer.
+ */
+function closeReplay() {
+  pauseReplay();
+  replayAttempt = null;
+  replayViewer.classList.add('hidden');
+}
+
+replayPlayBtn.addEventListener('click', () => {
+  if (replayFrame) pauseReplay();
+  else playReplay();
+});
+
+replaySeek.addEventListener('input', () => {
+  if (!replayAttempt) return;
+  replayTime = Number(replaySeek.value);
+  replayLastTick = null;
+  renderReplayFrame();
+});
+
+replayCloseBtn.addEventListener('click', closeReplay);
+
+/**
+ * Query parameters for the selected leaderboard window: a time window, a
+ * custom date range, or an archived season ("season:<id>").
+ */
+function leaderboardWindowParams() {
+  const params = new URLSearchParams();
+  const value = leaderboardWindow.value;
+  if (value.startsWith('season:')) {
+    params.set('season', value.slice('season:'.length));
+  } else if (value === 'custom') {
+    if (rangeFrom.value) params.set('from', Date.parse(rangeFrom.value));
+    // Include the whole "to" day.
+    if (rangeTo.value) params.set('to', Date.parse(rangeTo.value) + 24 * 60 * 60 * 1000 - 1);
+    params.set('window', 'custom');
+  } else {
+    params.set('window', value);
+  }
+  return params;
+}
+
+/**
+ * Add archived seasons to the window selector.
+ */
+function loadSeasons() {
+  fetch('/seasons')
+    .then((res) => res.json())
+    .then((data) => {
+      Array.from(leaderboardWindow.querySelectorAll('option[data-season]')).forEach((opt) => opt.remove());
+      data.archived
+        .slice()
+        .reverse()
+        .forEach((season) => {
+          const option = document.createElement('option');
+          option.value = `season:${season.id}`;
+          option.dataset.season = season.id;
+          option.textContent = `${season.name} (final)`;
+          leaderboardWindow.appendChild(option);
+        });
+    })
+    .catch((err) => console.error('Error loading seasons', err));
+}
+
+/**
+ * Reload leaderboards from the first page when the window changes.
+ */
+function onLeaderboardWindowChange() {
+  customRange.classList.toggle('hidden', leaderboardWindow.value !== 'custom');
+  leaderboardOffsets.global = 0;
+  leaderboardOffsets.country = 0;
+  loadLeaderboards();
+}
+
+leaderboardWindow.addEventListener('change', onLeaderboardWindowChange);
+rangeFrom.addEventListener('change', onLeaderboardWindowChange);
+rangeTo.addEventListener('change', onLeaderboardWindowChange);
+
+/**
+ * Fetch and display leaderboards.
+ */
+function loadLeaderboards() {
+  loadLeaderboardPage('global');
+  // Leaderboard for player's country.
+  if (currentPlayer && currentPlayer.country) {
+    loadLeaderboardPage('country');
+  }
+  loadMyRank();
+  loadCountryLeaderboard();
+}
+
+/**
+ * Fetch and render countries ranked by total or per-player levels completed.
+ */
+function loadCountryLeaderboard() {
+  const params = leaderboardWindowParams();
+  params.set('sort', countrySort.value);
+  fetch(`/leaderboard/countries?${params}`)
+    .then((res) => res.json())
+    .then((data) => renderCountriesTable(data.countries))
+    .catch((err) => console.error('Error loading country leaderboard', err));
+}
+
+countrySort.addEventListener('change', loadCountryLeaderboard);
+
+/**
+ * Render the country leaderboard table.
+ */
+function renderCountriesTable(countries) {
+  countriesTable.innerHTML = '';
+  if (!countries || countries.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.textContent = 'No countries';
+    row.appendChild(cell);
+    countriesTable.appendChild(row);
+    return;
+  }
+  const header = document.createElement('tr');
+  ['#', 'Country', 'Players', 'Levels', 'Per player'].forEach((text) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    header.appendChild(th);
+  });
+  countriesTable.appendChild(header);
+  countries.forEach((c) => {
+    const row = document.createElement('tr');
+    if (currentPlayer && c.country === currentPlayer.country) row.classList.add('me');
+    [c.rank, `${countryFlag(c.country)} ${c.name}`, c.players, c.levelsCompleted, c.perCapita].forEach((val) => {
+      const td = document.createElement('td');
+      td.textContent = val;
+      row.appendChild(td);
+    });
+    countriesTable.appendChild(row);
+  });
+}
+
+/**
+ * Fetch and render the current page of the global or country leaderboard.
+ */
+function loadLeaderboardPage(kind) {
+  const table = kind === 'global' ? globalTable : countryTable;
+  const pager = kind === 'global' ? globalPager : countryPager;
+  const params = leaderboardWindowParams();
+  params.set('limit', LEADERBOARD_PAGE_SIZE);
+  params.set('offset', leaderboardOffsets[kind]);
+  if (kind === 'country') params.set('country', currentPlayer.country);
+  fetch(`/leaderboard?${params}`)
+    .then((res) => res.json())
+    .then((data) => {
+      renderLeaderboardTable(table, data.players);
+      if (data.players) renderPager(pager, kind, data);
+    })
+    .catch((err) => console.error(`Error loading ${kind} leaderboard`, err));
+}
+
+/**
+ * Render previous/next controls for a leaderboard page.
+ */
+function renderPager(pager, kind, data) {
+  pager.innerHTML = '';
+  const pages = Math.max(1, Math.ceil(data.total / data.limit));
+  const page = Math.floor(data.offset / data.limit) + 1;
+  const addButton = (label, offset, disabled) => {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.disabled = disabled;
+    btn.addEventListener('click', () => {
+      leaderboardOffsets[kind] = offset;
+      loadLeaderboardPage(kind);
+    });
+    pager.appendChild(btn);
+  };
+  addButton('Prev', Math.max(0, data.offset - data.limit), page <= 1);
+  const label = document.createElement('span');
+  label.textContent = ` Page ${page} of ${pages} `;
+  pager.appendChild(label);
+  addButton('Next', data.offset + data.limit, page >= pages);
+}
+
+/**
+ * Show the current player's global rank and who is just ahead and behind.
+ */
+function loadMyRank() {
+  if (!currentPlayer) return;
+  const params = leaderboardWindowParams();
+  params.set('neighbours', 1);
+  apiFetch(`/leaderboard/me?${params}`)
+    .then((res) => res.json())
+    .then((data) => {
+      if (!data.success) {
+        myRankInfo.textContent = 'Your rank: not ranked in this period';
+        return;
+      }
+      const above = data.neighbours.above[0];
+      const below = data.neighbours.below[0];
+      let text = `Your rank: #${data.player.rank} of ${data.total}`;
+      if (above) text += ` · ahead of you: ${above.nickname} (${above.levelsCompleted})`;
+      if (below) text += ` · behind you: ${below.nickname} (${below.levelsCompleted})`;
+      myRankInfo.textContent = text;
+    })
+    .catch((err) => console.error('Error loading rank', err));
+}
+
+/**
+ * Render a leaderboard table given an array of {rank, nickname, country, levelsCompleted}.
+ */
+function renderLeaderboardTable(table, players) {
+  table.innerHTML = '';
+  if (!players || players.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.textContent = 'No players';
+    row.appendChild(cell);
+    table.appendChild(row);
+    return;
+  }
+  // Header
+  const header = document.createElement('tr');
+  ['#', 'Nickname', 'Country', 'Levels'].forEach((text) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    header.appendChild(th);
+  });
+  table.appendChild(header);
+  // Rows
+  players.forEach((p) => {
+    const row = document.createElement('tr');
+    if (currentPlayer && p.id === currentPlayer.id) row.classList.add('me');
+    [p.rank, playerLink(p), `${countryFlag(p.country)} ${p.country}`, p.levelsCompleted].forEach((val) => {
+      const td = document.createElement('td');
+      if (val instanceof Node) td.appendChild(val);
+      else td.textContent = val;
+      row.appendChild(td);
+    });
+    table.appendChild(row);
+  });
+}
+
+/**
+ * A clickable nickname that opens the player's profile.
+ */
+function playerLink(p) {
+  const link = document.createElement('a');
+  link.href = '#';
+  link.className = 'player-link';
+  link.textContent = p.nickname;
+  link.addEventListener('click', (e) => {
+    e.preventDefault();
+    openProfile(p.id);
+  });
+  return link;
+}
+
+/**
+ * Format a duration in milliseconds as e.g. "1h 4m", "3m 10s" or "12.5s".
+ */
+function formatDuration(ms) {
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${Math.floor(seconds % 60)}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Fetch a player's profile and show it.
+ */
+function openProfile(playerId) {
+  fetch(`/players/${encodeURIComponent(playerId)}`)
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.success) renderProfile(data.profile);
+    })
+    .catch((err) => console.error('Error loading profile', err));
+}
+
+/**
+ * Render a player profile into the profile card.
+ */
+function renderProfile(profile) {
+  const date = (ts) => (ts ? new Date(ts).toLocaleString() : '—');
+  profileName.textContent = `${profile.nickname} ${countryFlag(profile.country)}`;
+  const rate = profile.completionRate === null ? '—' : `${Math.round(profile.completionRate * 100)}%`;
+  const rows = [
+    ['Levels completed', profile.levelsCompleted],
+    ['Global rank', profile.rank === null ? '—' : `#${profile.rank}`],
+    ['Highest level reached', profile.highestLevel || '—'],
+    ['Highest level completed', profile.highestLevelCompleted || '—'],
+    ['Attempts / completions', `${profile.attempts} / ${profile.completions} (${rate})`],
+    ['Total hold time', formatDuration(profile.totalHoldMs)],
+    ['Longest hold', formatDuration(profile.longestHoldMs)],
+    ['First seen', date(profile.firstSeenAt)],
+    ['Last seen', profile.online ? `online now${profile.room ? ` in ${profile.room.name}` : ''}` : date(profile.lastSeenAt)],
+  ];
+  profileStats.innerHTML = '';
+  rows.forEach(([label, value]) => {
+    const row = document.createElement('tr');
+    const th = document.createElement('th');
+    th.textContent = label;
+    const td = document.createElement('td');
+    td.textContent = value;
+    row.appendChild(th);
+    row.appendChild(td);
+    profileStats.appendChild(row);
+  });
+  profileSquares.textContent =
+    profile.favouriteSquares.map((sq) => `#${sq.squareIndex + 1} (${sq.holds}×)`).join(', ') || 'None yet';
+  profileTeammates.innerHTML = '';
+  profile.teammates.forEach((mate) => {
+    const li = document.createElement('li');
+    li.appendChild(playerLink(mate));
+    li.appendChild(document.createTextNode(` ${countryFlag(mate.country)} · ${mate.attempts} attempts`));
+    profileTeammates.appendChild(li);
+  });
+  if (profile.teammates.length === 0) {
+    const li = document.createElement('li');
+    li.textContent = 'Nobody yet';
+    profileTeammates.appendChild(li);
+  }
+  profileBadges.innerHTML = '';
+  profile.achievements.forEach((achievement) => {
+    const badge = document.createElement('span');
+    badge.className = 'badge';
+    badge.textContent = achievement.icon;
+    badge.title = `${achievement.name}: ${achievement.description}`;
+    badge.setAttribute('aria-label', achievement.name);
+    profileBadges.appendChild(badge);
+  });
+  if (profile.achievements.length === 0) profileBadges.textContent = 'None yet';
+  profileDiv.classList.remove('hidden');
+}
+
+profileCloseBtn.addEventListener('click', () => profileDiv.classList.add('hidden'));
+
+/**
+ * Fetch this player's achievements, render the badge shelf and pop up a toast
+ * for each one unlocked since the last load.
+ */
+function loadAchievements() {
+  apiFetch('/achievements')
+    .then((res) => res.json())
+    .then((data) => {
+      if (!data.success) return;
+      const unlocked = data.achievements.filter((a) => a.unlockedAt);
+      if (unlockedAchievements) {
+        unlocked
+          .filter((a) => !unlockedAchievements.includes(a.id))
+          .forEach((a) => showToast(`${a.icon} Achievement unlocked: ${a.name}`));
+      }
+      unlockedAchievements = unlocked.map((a) => a.id);
+      renderBadgeShelf(data.achievements);
+    })
+    .catch((err) => console.error('Error loading achievements', err));
+}
+
+/**
+ * Render every achievement as a badge, dimming the locked ones.
+ */
+function renderBadgeShelf(achievements) {
+  badgeShelf.innerHTML = '';
+  achievements.forEach((achievement) => {
+    const li = document.createElement('li');
+    li.className = achievement.unlockedAt ? 'badge unlocked' : 'badge locked';
+    const when = achievement.unlockedAt ? `unlocked ${new Date(achievement.unlockedAt).toLocaleDateString()}` : 'locked';
+    li.title = `${achievement.description} (${when})`;
+    const icon = document.createElement('span');
+    icon.className = 'badge-icon';
+    icon.textContent = achievement.icon;
+    icon.setAttribute('aria-hidden', 'true');
+    const name = document.createElement('span');
+    name.textContent = achievement.name;
+    li.append(icon, name);
+    badgeShelf.appendChild(li);
+  });
+}
+
+/**
+ * Show a short notification in the corner for a few seconds.
+ */
+function showToast(text) {
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.textContent = text;
+  toasts.appendChild(toast);
+  setTimeout(() => toast.remove(), 5000);
+}
+
+/**
+ * Handle password reset request form submission.
+ */
+resetRequestForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const email = document.getElementById('resetEmail').value.trim();
+  apiFetch('/account/reset-request', { method: 'POST', body: JSON.stringify({ email }) })
+    .then((res) => res.json())
+    .then((data) => setAuthMessage(data.message || 'Could not send reset link'))
+    .catch((err) => {
+      setAuthMessage('Error requesting password reset');
+      console.error(err);
+    });
+});
+
+/**
+ * Handle new password form submission (opened from a reset link).
+ */
+resetForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const newPassword = document.getElementById('resetPassword').value;
+  apiFetch('/account/reset', { method: 'POST', body: JSON.stringify({ token: resetToken, newPassword }) })
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.success) {
+        // Drop the used token from the address bar.
+        window.history.replaceState(null, '', window.location.pathname);
+        resetForm.classList.add('hidden');
+        setSession(data);
+        setAuthMessage('');
+        enterApp();
+      } else {
+        setAuthMessage(data.message || 'Password reset failed');
+      }
+    })
+    .catch((err) => {
+      setAuthMessage('Error resetting password');
+      console.error(err);
+    });
+});
+
+/**
+ * Handle profile form submission.
+ */
+profileForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const nickname = accountNickname.value.trim();
+  const country = accountCountrySelect.value;
+  apiFetch('/account/profile', { method: 'POST', body: JSON.stringify({ nickname, country }) })
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.success) {
+        currentPlayer = data.player;
+        showLobby();
+        accountMessage.textContent = 'Profile saved';
+      } else {
+        accountMessage.textContent = data.message || 'Could not save profile';
+      }
+    })
+    .catch((err) => {
+      accountMessage.textContent = 'Error saving profile';
+      console.error(err);
+    });
+});
+
+/**
+ * Handle change password form submission.
+ */
+passwordForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const currentPassword = document.getElementById('currentPassword').value;
+  const newPassword = document.getElementById('newPassword').value;
+  apiFetch('/account/password', { method: 'POST', body: JSON.stringify({ currentPassword, newPassword }) })
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.success) {
+        // Other sessions have ended; keep this one with the fresh token.
+        setSession({ token: data.token, player: currentPlayer });
+        passwordForm.reset();
+        accountMessage.textContent = 'Password changed';
+      } else {
+        accountMessage.textContent = data.message || 'Could not change password';
+      }
+    })
+    .catch((err) => {
+      accountMessage.textContent = 'Error changing password';
+      console.error(err);
+    });
+});
+
+/**
+ * Handle delete account form submission.
+ */
+deleteAccountForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  if (!window.confirm('Delete your account and all your progress? This cannot be undone.')) return;
+  const password = document.getElementById('deletePassword').value;
+  apiFetch('/account/delete', { method: 'POST', body: JSON.stringify({ password }) })
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.success) {
+        clearSession();
+        window.location.reload();
+      } else {
+        accountMessage.textContent = data.message || 'Could not delete account';
+      }
+    })
+    .catch((err) => {
+      accountMessage.textContent = 'Error deleting account';
+      console.error(err);
+    });
+});
+
+/**
+ * Handle logout: leave the room, revoke the session on the server, clear it
+ * and reload page.
+ */
+function logout() {
+  const leaving = currentRoom ? leaveRoom() : Promise.resolve();
+  leaving
+    .then(() => apiFetch('/logout', { method: 'POST' }))
+    .catch((err) => console.error('Error logging out', err))
+    .then(() => {
+      clearSession();
+      window.location.reload();
+    });
+}
+
+logoutBtn.addEventListener('click', logout);
+lobbyLogoutBtn.addEventListener('click', logout);
@@ -0,0 +1,554 @@
+/*
+ * Board rendering for Synergy Squares, shared by the live board and the replay viewer.
+ * Boards up to CANVAS_THRESHOLD squares keep one element per square and only patch the
+ * squares that changed; larger boards are drawn on a canvas. Both can be zoomed and panned,
+ * and played with a mouse, touch or the keyboard.
+ */
+
+// Boards with more squares than this are drawn on a canvas.
+const CANVAS_THRESHOLD = 400;
+// Element boards with more columns than this use smaller squares.
+const DENSE_COLUMNS = 10;
+const MAX_ZOOM = 8;
+const ZOOM_STEP = 1.5;
+// Canvas squares are at most as tall as .square in style.css.
+const MAX_SQUARE_PX = 60;
+// Names are only drawn on canvas squares at least this wide on screen.
+const MIN_LABEL_PX = 28;
+// Keys that hold the focused square while pressed.
+const HOLD_KEYS = [' ', 'Enter'];
+// Canvas colors, matching the .square styles in style.css (and body.high-contrast).
+const SQUARE_COLORS = {
+  free: { fill: '#e0e0e0', stroke: '#ccc' },
+  occupied: { fill: '#90caf9', stroke: '#ccc', text: '#0d47a1' },
+  blocked: { fill: '#616161', stroke: '#424242' },
+  special: '#ffb300',
+  focus: '#1565c0',
+  marks: { target: '#43a047', next: '#8e24aa', order: '#9e9e9e', conflict: '#e53935', unlit: '#bdbdbd' },
+};
+const HIGH_CONTRAST_COLORS = {
+  free: { fill: '#000', stroke: '#fff' },
+  occupied: { fill: '#ffff00', stroke: '#fff', text: '#000' },
+  blocked: { fill: '#444', stroke: '#444' },
+  special: '#00ffff',
+  focus: '#ff00ff',
+  marks: { target: '#00ff00', next: '#ff00ff', order: '#fff', conflict: '#ff4040', unlit: '#444' },
+};
+
+/**
+ * Create a board view inside container. Options:
+ *   label       accessible name of the board (default 'Board')
+ *   onPress     called with the square index when a free square is pressed
+ *               while the board is playable
+ *   onRelease   called when the pointer or key that pressed it is let go
+ * Returns an object with render(frame) and resetZoom(), where a frame has:
+ *   squaresCount, layout   as in the server's board state
+ *   occupants              map of square index -> { label, away }
+ *   marks                  optional map of square index -> { type, badge, label, locked } set
+ *                          by the game mode: type is target, next, order, conflict or unlit,
+ *                          badge a short corner text, label what screen readers hear and
+ *                          locked whether the square cannot be pressed
+ *   playable               whether free squares can be pressed
+ * Arrow keys move between squares and Space or Enter holds the focused one.
+ * Pressing anywhere but a free square drags the board when zoomed in; two
+ * pointers pinch to zoom, as does ctrl + mouse wheel (or a trackpad pinch).
+ */
+function createBoardView(container, { label = 'Board', onPress, onRelease } = {}) {
+  const grid = document.createElement('div');
+  grid.className = 'board-grid';
+  grid.setAttribute('role', 'group');
+  grid.setAttribute('aria-label', label);
+  const canvas = document.createElement('canvas');
+  canvas.className = 'board-canvas hidden';
+  canvas.tabIndex = 0;
+  canvas.setAttribute('role', 'application');
+  canvas.setAttribute('aria-roledescription', 'board');
+  // Describes the focused square of a canvas board to screen readers.
+  const cursorStatus = document.createElement('div');
+  cursorStatus.className = 'visually-hidden';
+  cursorStatus.setAttribute('aria-live', 'polite');
+  const controls = document.createElement('div');
+  controls.className = 'board-zoom';
+  container.classList.add('board-viewport');
+  container.append(grid, canvas, controls, cursorStatus);
+
+  let frame = null;
+  let layoutKey = null;
+  let blocked = new Set();
+  let special = new Map(); // Map of square index -> special square
+  let useCanvas = false;
+  let squares = []; // Square elements by index, on element boards
+  let drawn = []; // Attributes last applied to each square element
+  let cellPx = 0; // Canvas square size at zoom 1, gap included
+  let zoom = 1;
+  let panX = 0;
+  let panY = 0;
+  let drawPending = false;
+  let lastWidth = 0;
+  let focusIndex = 0; // Square reached with the keyboard
+  let holder = null; // { pointerId } or { key } that pressed the held square
+  const pointers = new Map(); // Map of pointerId -> { x, y, pressed } while down
+  let pinch = null; // Distance and zoom when a second pointer went down
+
+  /**
+   * What a square shows: its kind (free, occupied or blocked), text, whether
+   * it is special, its game mode mark and whether its occupant is away.
+   */
+  function describeSquare(index) {
+    if (blocked.has(index)) return { kind: 'blocked', text: '' };
+    const occupant = frame.occupants[index];
+    const spec = special.get(index);
+    const mark = frame.marks ? frame.marks[index] : undefined;
+    if (occupant) return { kind: 'occupied', text: occupant.label, special: spec, mark, away: occupant.away };
+    return { kind: 'free', text: spec ? spec.label : '', special: spec, mark };
+  }
+
+  /**
+   * Spoken description of a square, e.g. "Square 4, held by Ana (away)".
+   */
+  function squareLabel(index, square) {
+    const parts = [`Square ${index + 1}`];
+    if (square.kind === 'blocked') parts.push('blocked');
+    else if (square.kind === 'occupied') parts.push(`held by ${square.text}${square.away ? ' (away)' : ''}`);
+    else parts.push('free');
+    if (square.special) parts.push(square.special.label);
+    if (square.mark && square.mark.label) parts.push(square.mark.label);
+    return parts.join(', ');
+  }
+
+  function isPressable(index) {
+    const mark = frame && frame.marks ? frame.marks[index] : undefined;
+    return (
+      Boolean(onPress && frame && frame.playable) &&
+      !blocked.has(index) &&
+      !frame.occupants[index] &&
+      !(mark && mark.locked)
+    );
+  }
+
+  function colors() {
+    return document.body.classList.contains('high-contrast') ? HIGH_CONTRAST_COLORS : SQUARE_COLORS;
+  }
+
+  // --- Element boards -----------------------------------------------------------
+
+  function buildSquares() {
+    grid.innerHTML = '';
+    grid.style.gridTemplateColumns = `repeat(${frame.layout.columns}, 1fr)`;
+    grid.classList.toggle('dense', frame.layout.columns > DENSE_COLUMNS);
+    squares = [];
+    drawn = [];
+    for (let i = 0; i < frame.squaresCount; i++) {
+      const sq = document.createElement('div');
+      sq.dataset.index = i;
+      sq.setAttribute('role', 'button');
+      sq.tabIndex = i === focusIndex ? 0 : -1;
+      grid.appendChild(sq);
+      squares.push(sq);
+      drawn.push({});
+    }
+  }
+
+  /**
+   * Bring the square elements up to date, touching only those that changed.
+   */
+  function patchSquares() {
+    squares.forEach((sq, i) => {
+      const square = describeSquare(i);
+      const classes = ['square'];
+      if (square.kind !== 'free') classes.push(square.kind);
+      if (square.special) classes.push('special', `special-${square.special.type}`);
+      if (square.mark) classes.push(`mark-${square.mark.type}`);
+      if (square.away) classes.push('away');
+      const next = {
+        className: classes.join(' '),
+        text: square.text,
+        badge: square.mark && square.mark.badge ? square.mark.badge : '',
+        label: squareLabel(i, square),
+        disabled: String(!isPressable(i)),
+      };
+      const last = drawn[i];
+      if (last.className !== next.className) sq.className = next.className;
+      if (last.text !== next.text) sq.textContent = next.text;
+      if (last.badge !== next.badge) {
+        if (next.badge) sq.dataset.badge = next.badge;
+        else delete sq.dataset.badge;
+      }
+      if (last.label !== next.label) sq.setAttribute('aria-label', next.label);
+      if (last.disabled !== next.disabled) sq.setAttribute('aria-disabled', next.disabled);
+      drawn[i] = next;
+    });
+  }
+
+  // --- Canvas boards ------------------------------------------------------------
+
+  function resizeCanvas() {
+    const { columns } = frame.layout;
+    const rows = Math.ceil(frame.squaresCount / columns);
+    const ratio = window.devicePixelRatio || 1;
+    cellPx = Math.min(MAX_SQUARE_PX, container.clientWidth / columns);
+    canvas.style.width = `${cellPx * columns}px`;
+    canvas.style.height = `${cellPx * rows}px`;
+    canvas.width = Math.round(cellPx * columns * ratio);
+    canvas.height = Math.round(cellPx * rows * ratio);
+  }
+
+  function scheduleDraw() {
+    if (drawPending) return;
+    drawPending = true;
+    requestAnimationFrame(draw);
+  }
+
+  function draw() {
+    drawPending = false;
+    if (!useCanvas) return;
+    const ctx = canvas.getContext('2d');
+    const ratio = window.devicePixelRatio || 1;
+    const palette = colors();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(ratio * zoom, 0, 0, ratio * zoom, ratio * panX, ratio * panY);
+    const { columns } = frame.layout;
+    const gap = Math.max(1, cellPx * 0.08);
+    const size = cellPx - gap;
+    const showLabels = cellPx * zoom >= MIN_LABEL_PX;
+    ctx.font = `bold ${Math.max(6, cellPx * 0.22)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (let i = 0; i < frame.squaresCount; i++) {
+      const square = describeSquare(i);
+      const fill = palette[square.kind];
+      const x = (i % columns) * cellPx + gap / 2;
+      const y = Math.floor(i / columns) * cellPx + gap / 2;
+      ctx.globalAlpha = square.away ? 0.5 : 1;
+      ctx.fillStyle = fill.fill;
+      ctx.fillRect(x, y, size, size);
+      ctx.strokeStyle = square.special ? palette.special : fill.stroke;
+      ctx.lineWidth = square.special ? Math.max(1, cellPx * 0.06) : Math.max(0.5, cellPx * 0.02);
+      ctx.strokeRect(x, y, size, size);
+      if (square.mark) {
+        const inset = Math.max(1, cellPx * 0.06);
+        ctx.strokeStyle = palette.marks[square.mark.type];
+        ctx.lineWidth = inset;
+        ctx.strokeRect(x + inset, y + inset, size - inset * 2, size - inset * 2);
+      }
+      if (showLabels && square.text) {
+        ctx.fillStyle = fill.text || '#333';
+        ctx.fillText(square.text, x + size / 2, y + size / 2, size - 4);
+      }
+      if (showLabels && square.mark && square.mark.badge) {
+        ctx.save();
+        ctx.font = `${Math.max(5, cellPx * 0.16)}px sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = palette.marks[square.mark.type];
+        ctx.fillText(square.mark.badge, x + cellPx * 0.1, y + cellPx * 0.08);
+        ctx.restore();
+      }
+    }
+    ctx.globalAlpha = 1;
+    if (document.activeElement === canvas) {
+      ctx.strokeStyle = palette.focus;
+      ctx.lineWidth = Math.max(2, cellPx * 0.1);
+      ctx.strokeRect((focusIndex % columns) * cellPx, Math.floor(focusIndex / columns) * cellPx, cellPx, cellPx);
+    }
+  }
+
+  // --- Zoom and pan -------------------------------------------------------------
+
+  /**
+   * The board's element (grid or canvas), which zoom and pan move around.
+   */
+  function content() {
+    return useCanvas ? canvas : grid;
+  }
+
+  /**
+   * Top-left corner of the unzoomed board in client coordinates.
+   */
+  function origin() {
+    const rect = container.getBoundingClientRect();
+    const el = content();
+    return { left: rect.left + el.offsetLeft, top: rect.top + el.offsetTop };
+  }
+
+  function clampPan() {
+    const el = content();
+    const width = el.offsetWidth;
+    const height = el.offsetHeight;
+    panX = Math.min(0, Math.max(width - width * zoom, panX));
+    panY = Math.min(0, Math.max(height - height * zoom, panY));
+  }
+
+  function applyTransform() {
+    clampPan();
+    container.classList.toggle('zoomed', zoom > 1);
+    if (useCanvas) {
+      scheduleDraw();
+    } else {
+      grid.style.transform = zoom > 1 ? `translate(${panX}px, ${panY}px) scale(${zoom})` : '';
+    }
+  }
+
+  /**
+   * Zoom to level (1 to MAX_ZOOM), keeping the board point under the client
+   * coordinates in place.
+   */
+  function zoomAt(clientX, clientY, level) {
+    const next = Math.min(MAX_ZOOM, Math.max(1, level));
+    const { left, top } = origin();
+    const x = clientX - left;
+    const y = clientY - top;
+    panX = x - ((x - panX) / zoom) * next;
+    panY = y - ((y - panY) / zoom) * next;
+    zoom = next;
+    applyTransform();
+  }
+
+  /**
+   * Zoom in or out around the middle of the board.
+   */
+  function zoomBy(factor) {
+    const { left, top } = origin();
+    const el = content();
+    zoomAt(left + el.offsetWidth / 2, top + el.offsetHeight / 2, zoom * factor);
+  }
+
+  function resetZoom() {
+    zoom = 1;
+    panX = 0;
+    panY = 0;
+    applyTransform();
+  }
+
+  /**
+   * Pan just enough to bring a square into view.
+   */
+  function revealSquare(index) {
+    if (zoom === 1) return;
+    const { columns } = frame.layout;
+    const box = useCanvas
+      ? { x: (index % columns) * cellPx, y: Math.floor(index / columns) * cellPx, width: cellPx, height: cellPx }
+      : { x: squares[index].offsetLeft, y: squares[index].offsetTop, width: squares[index].offsetWidth, height: squares[index].offsetHeight };
+    const el = content();
+    const left = panX + box.x * zoom;
+    const top = panY + box.y * zoom;
+    if (left < 0) panX -= left;
+    else if (left + box.width * zoom > el.offsetWidth) panX -= left + box.width * zoom - el.offsetWidth;
+    if (top < 0) panY -= top;
+    else if (top + box.height * zoom > el.offsetHeight) panY -= top + box.height * zoom - el.offsetHeight;
+    applyTransform();
+  }
+
+  /**
+   * Square index under a pointer event, or null.
+   */
+  function squareAt(event) {
+    if (!frame) return null;
+    if (!useCanvas) {
+      const sq = event.target.closest('.square');
+      return sq && grid.contains(sq) ? Number(sq.dataset.index) : null;
+    }
+    const { left, top } = origin();
+    const column = Math.floor((event.clientX - left - panX) / zoom / cellPx);
+    const row = Math.floor((event.clientY - top - panY) / zoom / cellPx);
+    if (column < 0 || column >= frame.layout.columns || row < 0) return null;
+    const index = row * frame.layout.columns + column;
+    return index < frame.squaresCount ? index : null;
+  }
+
+  function pinchDistance() {
+    const [a, b] = Array.from(pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  // --- Input --------------------------------------------------------------------
+
+  /**
+   * Hold a square on behalf of a pointer or key, unless something holds one already.
+   */
+  function press(index, by) {
+    if (holder || !isPressable(index)) return false;
+    holder = by;
+    onPress(index);
+    return true;
+  }
+
+  function release() {
+    if (!holder) return;
+    holder = null;
+    if (onRelease) onRelease();
+  }
+
+  /**
+   * Move keyboard focus to a square (clamped to the board).
+   */
+  function moveFocus(index) {
+    focusIndex = Math.min(frame.squaresCount - 1, Math.max(0, index));
+    revealSquare(focusIndex);
+    if (useCanvas) {
+      cursorStatus.textContent = squareLabel(focusIndex, describeSquare(focusIndex));
+      scheduleDraw();
+      return;
+    }
+    squares.forEach((sq, i) => {
+      sq.tabIndex = i === focusIndex ? 0 : -1;
+    });
+    squares[focusIndex].focus();
+  }
+
+  [
+    ['+', 'Zoom in', () => zoomBy(ZOOM_STEP)],
+    ['−', 'Zoom out', () => zoomBy(1 / ZOOM_STEP)],
+    ['⤢', 'Fit board', resetZoom],
+  ].forEach(([text, title, action]) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = text;
+    btn.title = title;
+    btn.setAttribute('aria-label', title);
+    btn.addEventListener('click', action);
+    controls.appendChild(btn);
+  });
+
+  // One listener for every square, so re-rendering never drops a press.
+  container.addEventListener('pointerdown', (event) => {
+    if (event.target.closest('.board-zoom')) return;
+    const index = pointers.size === 0 && event.button === 0 ? squareAt(event) : null;
+    const pressed = index !== null && press(index, { pointerId: event.pointerId });
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY, pressed });
+    container.setPointerCapture(event.pointerId);
+    if (pointers.size === 2) pinch = { distance: pinchDistance(), zoom };
+    if (index !== null) focusIndex = index;
+  });
+
+  container.addEventListener('pointermove', (event) => {
+    const pointer = pointers.get(event.pointerId);
+    if (!pointer) return;
+    const dx = event.clientX - pointer.x;
+    const dy = event.clientY - pointer.y;
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+    if (pinch && pointers.size === 2) {
+      const [a, b] = Array.from(pointers.values());
+      const distance = pinchDistance();
+      if (pinch.distance > 0) zoomAt((a.x + b.x) / 2, (a.y + b.y) / 2, (pinch.zoom * distance) / pinch.distance);
+      // Moving both fingers together pans as well.
+      panX += dx / 2;
+      panY += dy / 2;
+      applyTransform();
+    } else if (!pointer.pressed && zoom > 1) {
+      panX += dx;
+      panY += dy;
+      applyTransform();
+    }
+  });
+
+  // Only the pointer that pressed the square lets go of it; other fingers
+  // (e.g. pinching) come and go without releasing.
+  const endPointer = (event) => {
+    pointers.delete(event.pointerId);
+    if (pointers.size < 2) pinch = null;
+    if (holder && holder.pointerId === event.pointerId) release();
+  };
+  window.addEventListener('pointerup', endPointer);
+  window.addEventListener('pointercancel', endPointer);
+  container.addEventListener('contextmenu', (event) => event.preventDefault());
+
+  container.addEventListener('keydown', (event) => {
+    if (!frame || (event.target !== canvas && !event.target.classList.contains('square'))) return;
+    const { columns } = frame.layout;
+    const moves = {
+      ArrowLeft: -1,
+      ArrowRight: 1,
+      ArrowUp: -columns,
+      ArrowDown: columns,
+    };
+    if (moves[event.key] !== undefined) {
+      event.preventDefault();
+      moveFocus(focusIndex + moves[event.key]);
+    } else if (event.key === 'Home' || event.key === 'End') {
+      event.preventDefault();
+      moveFocus(event.key === 'Home' ? 0 : frame.squaresCount - 1);
+    } else if (HOLD_KEYS.includes(event.key)) {
+      event.preventDefault();
+      if (!event.repeat) press(focusIndex, { key: event.key });
+    }
+  });
+
+  container.addEventListener('keyup', (event) => {
+    if (holder && holder.key === event.key) release();
+  });
+
+  // A key hold ends when focus leaves the board, since its keyup would be missed.
+  container.addEventListener('focusout', (event) => {
+    if (holder && holder.key && !container.contains(event.relatedTarget)) release();
+    if (event.target === canvas) scheduleDraw();
+  });
+
+  canvas.addEventListener('focus', () => {
+    cursorStatus.textContent = squareLabel(focusIndex, describeSquare(focusIndex));
+    scheduleDraw();
+  });
+
+  container.addEventListener(
+    'wheel',
+    (event) => {
+      if (event.ctrlKey) {
+        event.preventDefault();
+        zoomAt(event.clientX, event.clientY, zoom * Math.exp(-event.deltaY / 200));
+      } else if (zoom > 1) {
+        event.preventDefault();
+        panX -= event.deltaX;
+        panY -= event.deltaY;
+        applyTransform();
+      }
+    },
+    { passive: false }
+  );
+
+  new ResizeObserver(() => {
+    if (container.clientWidth === lastWidth || !frame) return;
+    lastWidth = container.clientWidth;
+    if (useCanvas) resizeCanvas();
+    applyTransform();
+  }).observe(container);
+
+  return {
+    /**
+     * Show a frame. The squares are only rebuilt when the layout changes
+     * (which also resets the zoom and keyboard focus); otherwise changed
+     * squares are patched.
+     */
+    render(next) {
+      frame = next;
+      const key = JSON.stringify([next.squaresCount, next.layout]);
+      if (key !== layoutKey) {
+        layoutKey = key;
+        blocked = new Set(next.layout.blocked);
+        special = new Map(next.layout.special.map((s) => [s.index, s]));
+        useCanvas = next.squaresCount > CANVAS_THRESHOLD;
+        focusIndex = 0;
+        grid.classList.toggle('hidden', useCanvas);
+        canvas.classList.toggle('hidden', !useCanvas);
+        canvas.setAttribute('aria-label', `${label}, ${next.squaresCount} squares. Use the arrow keys to move and Space to hold.`);
+        if (useCanvas) {
+          grid.innerHTML = '';
+          squares = [];
+          lastWidth = container.clientWidth;
+          resizeCanvas();
+        } else {
+          buildSquares();
+        }
+        resetZoom();
+      }
+      container.classList.toggle('playable', Boolean(next.playable));
+      if (useCanvas) {
+        scheduleDraw();
+      } else {
+        patchSquares();
+      }
+    },
+    resetZoom,
+  };
+}
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Run bot players against a Synergy Squares server until interrupted.
+ *
+ *   node scripts/bot.js [--url http://localhost:3000] [--room main] [--count 1]
+ *                       [--behaviour cooperative|flaky|griefing] [--name Bot]
+ *
+ * Bots sign up as "<name> 1", "<name> 2", ... and log in again on later runs.
+ */
+const { parseArgs } = require('util');
+const { createBot } = require('../lib/botClient');
+
+const { values: args } = parseArgs({
+  options: {
+    url: { type: 'string', default: 'http://localhost:3000' },
+    room: { type: 'string', default: 'main' },
+    count: { type: 'string', default: '1' },
+    behaviour: { type: 'string', default: 'cooperative' },
+    name: { type: 'string', default: 'Bot' },
+  },
+});
+
+const bots = [];
+for (let i = 1; i <= Number(args.count); i++) {
+  bots.push(createBot({ baseUrl: args.url, name: `${args.name} ${i}`, behaviour: args.behaviour, roomId: args.room }));
+}
+
+bots.forEach((bot) => {
+  bot.start((err) => {
+    if (err) return console.error(`${bot.name} could not start: ${err.message}`);
+    console.log(`${bot.name} (${bot.behaviour}) joined room ${args.room}`);
+  });
+});
+
+process.on('SIGINT', () => {
+  let pending = bots.length;
+  bots.forEach((bot) =>
+    bot.stop(() => {
+      pending -= 1;
+      if (pending === 0) process.exit(0);
+    })
+  );
+});
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Load simulation: run a number of bots against a local Synergy Squares
+ * server for a while, then report request latency per route, errors and how
+ * many levels the bots completed.
+ *
+ *   node scripts/simulate.js [--url http://localhost:3000] [--bots 8] [--duration 60]
+ *                            [--mix cooperative=6,flaky=1,griefing=1] [--room <id>]
+ *
+ * Without --room the bots play in a new public room of their own. The server's
+ * rate limits apply to the bots like to anyone else, so for large runs start it
+ * with higher RATE_LIMIT_PER_MINUTE and AUTH_RATE_LIMIT_PER_MINUTE.
+ */
+const { parseArgs } = require('util');
+const { BEHAVIOURS, createBot } = require('../lib/botClient');
+
+const { values: args } = parseArgs({
+  options: {
+    url: { type: 'string', default: 'http://localhost:3000' },
+    bots: { type: 'string', default: '8' },
+    duration: { type: 'string', default: '60' },
+    mix: { type: 'string', default: 'cooperative=1' },
+    room: { type: 'string' },
+  },
+});
+
+// Delay between bot starts, so sign-ups do not arrive in one burst.
+const START_STAGGER_MS = 100;
+
+/**
+ * Split count bots over behaviours by the weights of a "name=weight,..." mix.
+ * Returns a list of behaviour names.
+ */
+function planBehaviours(mix, count) {
+  const weights = mix.split(',').map((part) => {
+    const [behaviour, weight] = part.split('=');
+    if (!BEHAVIOURS[behaviour]) throw new Error(`Unknown bot behaviour: ${behaviour}`);
+    return { behaviour, weight: Number(weight) || 1 };
+  });
+  const total = weights.reduce((sum, w) => sum + w.weight, 0);
+  const plan = [];
+  weights.forEach(({ behaviour, weight }) => {
+    const share = Math.round((weight / total) * count);
+    for (let i = 0; i < share && plan.length < count; i++) plan.push(behaviour);
+  });
+  while (plan.length < count) plan.push(weights[0].behaviour);
+  return plan;
+}
+
+/**
+ * Value at percentile p (0-100) of a sorted list.
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+/**
+ * Create the room the bots will play in, signed in as a host account.
+ */
+function prepareRoom(callback) {
+  if (args.room) return callback(null, args.room);
+  const host = createBot({ baseUrl: args.url, name: 'Sim host' });
+  host.signIn((err) => {
+    if (err) return callback(err);
+    host.request('POST', '/rooms', { name: `Simulation ${new Date().toISOString()}` }, (roomErr, status, data) => {
+      if (roomErr) return callback(roomErr);
+      if (!data.success) return callback(new Error(data.message));
+      callback(null, data.room.id);
+    });
+  });
+}
+
+/**
+ * Print latency, error and level stats gathered by the bots.
+ */
+function report(bots, levels, startedAt) {
+  const elapsedS = (Date.now() - startedAt) / 1000;
+  const latencies = {};
+  const errors = {};
+  let requests = 0;
+  let holds = 0;
+  let releases = 0;
+  bots.forEach(({ stats }) => {
+    requests += stats.requests;
+    holds += stats.holds;
+    releases += stats.releases;
+    Object.keys(stats.latencies).forEach((route) => {
+      latencies[route] = (latencies[route] || []).concat(stats.latencies[route]);
+    });
+    Object.keys(stats.errors).forEach((code) => {
+      errors[code] = (errors[code] || 0) + stats.errors[code];
+    });
+  });
+  console.log(`\nRan ${bots.length} bots for ${elapsedS.toFixed(1)}s: ${requests} requests (${(requests / elapsedS).toFixed(1)}/s)`);
+  console.log('\nLatency (ms)       count     avg     p50     p95     max');
+  Object.keys(latencies)
+    .sort()
+    .forEach((route) => {
+      const sorted = latencies[route].slice().sort((a, b) => a - b);
+      const avg = sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length;
+      const cols = [avg, percentile(sorted, 50), percentile(sorted, 95), sorted[sorted.length - 1]];
+      console.log(`${route.padEnd(16)} ${String(sorted.length).padStart(7)} ${cols.map((ms) => ms.toFixed(1).padStart(7)).join(' ')}`);
+    });
+  console.log('\nErrors');
+  if (Object.keys(errors).length === 0) console.log('  none');
+  Object.keys(errors).forEach((code) => console.log(`  ${code}: ${errors[code]}`));
+  if (errors.RATE_LIMITED) console.log('  (raise the server rate limits for simulations this large)');
+  const seen = Object.keys(levels).map(Number).sort((a, b) => a - b);
+  const completed = seen.length > 1 ? seen[seen.length - 1] - seen[0] : 0;
+  console.log(`\nHolds: ${holds}, releases: ${releases}`);
+  console.log(`Levels completed: ${completed}${seen.length ? ` (from level ${seen[0]} to ${seen[seen.length - 1]})` : ''}`);
+  for (let i = 1; i < seen.length; i++) {
+    console.log(`  level ${seen[i - 1]} took ${((levels[seen[i]] - levels[seen[i - 1]]) / 1000).toFixed(1)}s`);
+  }
+}
+
+prepareRoom((err, roomId) => {
+  if (err) {
+    console.error(`Could not prepare a room: ${err.message}`);
+    process.exit(1);
+  }
+  const levels = {}; // Map of level -> when a bot first saw it
+  const onLevel = (level, at) => {
+    if (!levels[level]) levels[level] = at;
+  };
+  const bots = planBehaviours(args.mix, Number(args.bots)).map((behaviour, i) =>
+    createBot({ baseUrl: args.url, name: `Sim ${behaviour} ${i + 1}`, behaviour, roomId, onLevel })
+  );
+  console.log(`Starting ${bots.length} bots in room ${roomId} for ${args.duration}s`);
+  const startedAt = Date.now();
+  bots.forEach((bot, i) => {
+    setTimeout(() => {
+      bot.start((startErr) => {
+        if (startErr) console.error(`${bot.name} could not start: ${startErr.message}`);
+      });
+    }, i * START_STAGGER_MS);
+  });
+  let finished = false;
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    let pending = bots.length;
+    bots.forEach((bot) =>
+      bot.stop(() => {
+        pending -= 1;
+        if (pending > 0) return;
+        report(bots, levels, startedAt);
+        process.exit(0);
+      })
+    );
+  };
+  setTimeout(finish, Number(args.duration) * 1000);
+  process.on('SIGINT', finish);
+});
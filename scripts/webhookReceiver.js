@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Local webhook receiver for trying out Synergy Squares webhooks: prints every
+ * delivery it gets and checks its signature.
+ *
+ *   node scripts/webhookReceiver.js [--port 4000] [--secret <webhook secret>] [--fail-rate 0]
+ *
+ * Register http://localhost:4000/ as a webhook in the admin panel and pass the
+ * secret it shows. --fail-rate (0 to 1) answers that share of deliveries with
+ * a 500, to watch the server retry them.
+ */
+const http = require('http');
+const { parseArgs } = require('util');
+const { verifySignature } = require('../lib/webhooks');
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: 'string', default: '4000' },
+    secret: { type: 'string' },
+    'fail-rate': { type: 'string', default: '0' },
+  },
+});
+
+const failRate = Number(args['fail-rate']) || 0;
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const event = req.headers['x-synergy-event'];
+    const delivery = req.headers['x-synergy-delivery'];
+    let signature = 'not checked (no --secret)';
+    if (args.secret) {
+      signature = verifySignature(args.secret, body, req.headers['x-synergy-signature']) ? 'valid' : 'INVALID';
+    }
+    const fail = Math.random() < failRate;
+    console.log(`${new Date().toISOString()} ${event} ${delivery} signature ${signature}${fail ? ' -> answering 500' : ''}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body).data, null, 2));
+    } catch (err) {
+      console.log(body);
+    }
+    res.writeHead(fail ? 500 : 204);
+    res.end();
+  });
+});
+
+server.listen(Number(args.port), () => {
+  console.log(`Webhook receiver listening on http://localhost:${server.address().port}/`);
+});
+
+process.on('SIGINT', () => server.close(() => process.exit(0)));
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStorage } = require('../lib/storage');
+const { startServer, stopServer, api, registerAndJoin, hold } = require('./helpers');
+
+/**
+ * Ids of the achievements a player has unlocked, as listed by /achievements.
+ */
+async function unlockedIds(game, token) {
+  const { status, body } = await api(game, 'GET', '/achievements', undefined, token);
+  assert.strictEqual(status, 200, body.message);
+  return body.achievements.filter((a) => a.unlockedAt).map((a) => a.id);
+}
+
+test('completing a level unlocks and stores its achievements', async () => {
+  const storage = createMemoryStorage();
+  const game = await startServer({ storage });
+  try {
+    const [ana, ben] = await registerAndJoin(game, 'main', [
+      ['ana', 'PT'],
+      ['ben', 'DE'],
+    ]);
+    assert.deepStrictEqual(await unlockedIds(game, ana.token), []);
+    await hold(game, 'main', 0, ana.token);
+    assert.strictEqual((await hold(game, 'main', 1, ben.token)).levelCompleted, true);
+
+    assert.deepStrictEqual(await unlockedIds(game, ana.token), ['first-completion']);
+    assert.deepStrictEqual((await unlockedIds(game, ben.token)).sort(), ['final-square', 'first-completion']);
+    const stored = storage.loadPlayers().find((p) => p.id === ana.player.id);
+    assert.deepStrictEqual(Object.keys(stored.achievements), ['first-completion']);
+    assert.strictEqual(typeof stored.achievements['first-completion'], 'number');
+  } finally {
+    await stopServer(game);
+  }
+});
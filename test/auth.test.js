@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStorage } = require('../lib/storage');
+const { startServer, stopServer, api, register, PASSWORD } = require('./helpers');
+
+test('passwords are stored hashed and game routes need a session', async () => {
+  const storage = createMemoryStorage();
+  const game = await startServer({ storage });
+  try {
+    const ana = await register(game, 'ana');
+    const [stored] = storage.loadPlayers();
+    assert.strictEqual(stored.password, undefined);
+    assert.ok(stored.passwordHash && stored.passwordSalt);
+    assert.ok(!JSON.stringify(stored).includes(PASSWORD));
+
+    const me = await api(game, 'GET', '/me', undefined, ana.token);
+    assert.strictEqual(me.body.player.nickname, 'ana');
+    const anonymous = await api(game, 'POST', '/join?room=main', { playerId: ana.player.id });
+    assert.strictEqual(anonymous.status, 401);
+    assert.strictEqual(anonymous.body.code, 'NOT_AUTHENTICATED');
+
+    const login = await api(game, 'POST', '/login', { email: 'ana@example.com', password: 'wrong-password' });
+    assert.strictEqual(login.body.code, 'INVALID_CREDENTIALS');
+  } finally {
+    await stopServer(game);
+  }
+});
+
+test('logout revokes the session token', async () => {
+  const game = await startServer();
+  try {
+    const { token } = await register(game, 'ana');
+    assert.strictEqual((await api(game, 'POST', '/logout', {}, token)).status, 200);
+    const after = await api(game, 'GET', '/me', undefined, token);
+    assert.strictEqual(after.status, 401);
+    assert.strictEqual(after.body.code, 'NOT_AUTHENTICATED');
+
+    const login = await api(game, 'POST', '/login', { email: 'ana@example.com', password: PASSWORD });
+    assert.strictEqual(login.status, 200);
+    assert.strictEqual((await api(game, 'GET', '/me', undefined, login.body.token)).status, 200);
+  } finally {
+    await stopServer(game);
+  }
+});
+
+test('tampered and expired tokens are refused', async () => {
+  let now = Date.now();
+  const game = await startServer({ clock: () => now, sessionTtlMs: 60000 });
+  try {
+    const { token } = await register(game, 'ana');
+    const ben = await register(game, 'ben');
+    const [payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    claims.pid = ben.player.id;
+    const forged = `${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${signature}`;
+    assert.strictEqual((await api(game, 'GET', '/me', undefined, forged)).status, 401);
+    assert.strictEqual((await api(game, 'GET', '/me', undefined, token)).status, 200);
+    now += 60001;
+    assert.strictEqual((await api(game, 'GET', '/me', undefined, token)).status, 401);
+  } finally {
+    await stopServer(game);
+  }
+});
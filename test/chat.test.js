@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, api, openEvents, register } = require('./helpers');
+
+/**
+ * Start a server with an admin and a private room its owner and a member have
+ * joined. Resolves with { game, admin, owner, member, roomId }.
+ */
+async function startWithPrivateRoom() {
+  const game = await startServer({ adminEmails: ['root@example.com'] });
+  const admin = await register(game, 'root');
+  const owner = await register(game, 'owner');
+  const member = await register(game, 'member');
+  const created = await api(game, 'POST', '/rooms', { name: 'Hideout', private: true }, owner.token);
+  const { id: roomId, inviteCode } = created.body.room;
+  assert.strictEqual((await api(game, 'POST', `/join?room=${roomId}`, {}, owner.token)).status, 200);
+  assert.strictEqual((await api(game, 'POST', '/join', { inviteCode }, member.token)).status, 200);
+  return { game, admin, owner, member, roomId };
+}
+
+test('lobby chat is open to every player and room chat to players in the room', async () => {
+  const game = await startServer();
+  try {
+    const ana = await register(game, 'ana');
+    const posted = await api(game, 'POST', '/chat/lobby', { text: 'hello all' }, ana.token);
+    assert.strictEqual(posted.status, 200, posted.body.message);
+    const lobby = await api(game, 'GET', '/chat/lobby');
+    assert.deepStrictEqual(lobby.body.messages.map((m) => m.text), ['hello all']);
+
+    const outside = await api(game, 'POST', '/chat?room=main', { text: 'anyone?' }, ana.token);
+    assert.strictEqual(outside.body.code, 'PLAYER_NOT_ONLINE');
+    await api(game, 'POST', '/join?room=main', {}, ana.token);
+    assert.strictEqual((await api(game, 'POST', '/chat?room=main', { signal: 'ready' }, ana.token)).status, 200);
+    assert.strictEqual((await api(game, 'GET', '/chat?room=main')).body.messages.length, 1);
+  } finally {
+    await stopServer(game);
+  }
+});
+
+test('private room chat is hidden from guests and kicked players', async () => {
+  const { game, admin, member, roomId } = await startWithPrivateRoom();
+  try {
+    assert.strictEqual((await api(game, 'GET', `/chat?room=${roomId}`, undefined, member.token)).status, 200);
+    const guest = await api(game, 'GET', `/chat?room=${roomId}`);
+    assert.strictEqual(guest.status, 403);
+    assert.strictEqual(guest.body.code, 'INVITE_REQUIRED');
+
+    await api(game, 'POST', '/admin/kick', { playerId: member.player.id }, admin.token);
+    const read = await api(game, 'GET', `/chat?room=${roomId}`, undefined, member.token);
+    assert.strictEqual(read.body.code, 'KICKED');
+    const post = await api(game, 'POST', `/chat?room=${roomId}`, { text: 'let me back' }, member.token);
+    assert.strictEqual(post.body.code, 'KICKED');
+  } finally {
+    await stopServer(game);
+  }
+});
+
+test('room chat is only pushed to event streams allowed to read it', async () => {
+  const { game, admin, owner, member, roomId } = await startWithPrivateRoom();
+  const streams = [];
+  try {
+    const guest = await openEvents(game, `/events?room=${roomId}`);
+    streams.push(guest);
+    assert.strictEqual(guest.status, 403);
+    const ownerStream = await openEvents(game, `/events?room=${roomId}&token=${owner.token}`);
+    const memberStream = await openEvents(game, `/events?room=${roomId}&token=${member.token}`);
+    streams.push(ownerStream, memberStream);
+    assert.strictEqual(memberStream.status, 200);
+
+    await api(game, 'POST', '/admin/kick', { playerId: member.player.id }, admin.token);
+    const chat = ownerStream.next('chat');
+    await api(game, 'POST', `/chat?room=${roomId}`, { text: 'just us now' }, owner.token);
+    assert.strictEqual((await chat).text, 'just us now');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.ok(!memberStream.events.some((e) => e.event === 'chat'));
+  } finally {
+    streams.forEach((stream) => stream.close());
+    await stopServer(game);
+  }
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, openEvents, registerAndJoin, hold } = require('./helpers');
+
+test('the event stream sends the board, then a diff when a square is held', async () => {
+  const game = await startServer();
+  let stream = null;
+  try {
+    const [ana] = await registerAndJoin(game, 'main', [
+      ['ana', 'PT'],
+      ['ben', 'DE'],
+    ]);
+    stream = await openEvents(game, '/events?room=main');
+    assert.strictEqual(stream.status, 200);
+    const diff = stream.next('diff');
+    await hold(game, 'main', 0, ana.token);
+
+    assert.deepStrictEqual((await diff).occupied, { 0: ana.player.id });
+    const [first] = stream.events;
+    assert.strictEqual(first.event, 'board');
+    assert.deepStrictEqual(first.data.occupied, {});
+  } finally {
+    if (stream) stream.close();
+    await stopServer(game);
+  }
+});
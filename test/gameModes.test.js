@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, registerAndJoin, hold } = require('./helpers');
+
+/**
+ * Start a server whose first level is level, with no hold time.
+ */
+function startWithLevel(level) {
+  return startServer({ levels: { levels: [Object.assign({ holdSeconds: 0 }, level)] } });
+}
+
+test('ordered mode refuses squares taken out of order', async () => {
+  const game = await startWithLevel({ squares: 2, columns: 2, mode: 'ordered', order: [1, 0] });
+  try {
+    const [ana, ben] = await registerAndJoin(game, 'main', [
+      ['ana', 'PT'],
+      ['ben', 'DE'],
+    ]);
+    const early = await hold(game, 'main', 0, ana.token);
+    assert.strictEqual(early.code, 'OUT_OF_ORDER');
+    assert.strictEqual((await hold(game, 'main', 1, ana.token)).success, true);
+    assert.strictEqual((await hold(game, 'main', 0, ben.token)).levelCompleted, true);
+  } finally {
+    await stopServer(game);
+  }
+});
+
+test('country mode refuses a second holder from one country in a row', async () => {
+  const game = await startWithLevel({ squares: 4, columns: 2, mode: 'country' });
+  try {
+    const [ana, bea, ben, cy] = await registerAndJoin(game, 'main', [
+      ['ana', 'PT'],
+      ['bea', 'PT'],
+      ['ben', 'DE'],
+      ['cy', 'FR'],
+    ]);
+    assert.strictEqual((await hold(game, 'main', 0, ana.token)).success, true);
+    assert.strictEqual((await hold(game, 'main', 1, bea.token)).code, 'COUNTRY_IN_ROW');
+    assert.strictEqual((await hold(game, 'main', 1, ben.token)).success, true);
+    assert.strictEqual((await hold(game, 'main', 2, bea.token)).success, true);
+    assert.strictEqual((await hold(game, 'main', 3, cy.token)).levelCompleted, true);
+  } finally {
+    await stopServer(game);
+  }
+});
+
+test('pattern mode completes once the lit squares are held', async () => {
+  const game = await startWithLevel({ squares: 4, columns: 2, mode: 'pattern', targets: [0, 3] });
+  try {
+    const [ana, ben] = await registerAndJoin(game, 'main', [
+      ['ana', 'PT'],
+      ['ben', 'DE'],
+    ]);
+    const board = game.getBoard('main');
+    assert.strictEqual(board.requiredPlayers, 2);
+    assert.deepStrictEqual(board.mode.targets, [0, 3]);
+    assert.strictEqual((await hold(game, 'main', 0, ana.token)).levelCompleted, false);
+    assert.strictEqual((await hold(game, 'main', 3, ben.token)).levelCompleted, true);
+    assert.strictEqual(game.getBoard('main').level, 2);
+  } finally {
+    await stopServer(game);
+  }
+});
+
+test('pattern mode refuses squares that are not lit', async () => {
+  const game = await startWithLevel({ squares: 4, columns: 2, mode: 'pattern', targets: [0, 3] });
+  try {
+    const [ana, ben] = await registerAndJoin(game, 'main', [
+      ['ana', 'PT'],
+      ['ben', 'DE'],
+    ]);
+    const unlit = await hold(game, 'main', 1, ana.token);
+    assert.strictEqual(unlit.code, 'NOT_A_TARGET');
+    assert.deepStrictEqual(game.getBoard('main').occupied, {});
+    assert.strictEqual((await hold(game, 'main', 0, ana.token)).success, true);
+    assert.strictEqual((await hold(game, 'main', 2, ben.token)).code, 'NOT_A_TARGET');
+  } finally {
+    await stopServer(game);
+  }
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStorage } = require('../lib/storage');
+const { startServer, stopServer, api, register, registerAndJoin, hold, PASSWORD } = require('./helpers');
+
+test('a squad registers, joins, holds every square and completes the level', async () => {
+  const storage = createMemoryStorage();
+  const game = await startServer({ storage });
+  try {
+    const [ana, ben] = await registerAndJoin(game, 'main', [
+      ['ana', 'PT'],
+      ['ben', 'DE'],
+    ]);
+    assert.strictEqual(game.getBoard('main').activeCount, 2);
+
+    const first = await hold(game, 'main', 0, ana.token);
+    assert.strictEqual(first.success, true, first.message);
+    assert.strictEqual(first.levelCompleted, false);
+    assert.strictEqual((await hold(game, 'main', 0, ben.token)).code, 'SQUARE_OCCUPIED');
+
+    const last = await hold(game, 'main', 1, ben.token);
+    assert.strictEqual(last.success, true, last.message);
+    assert.strictEqual(last.levelCompleted, true);
+    assert.strictEqual(game.getBoard('main').level, 2);
+    assert.deepStrictEqual(game.getBoard('main').occupied, {});
+
+    const leaderboard = await api(game, 'GET', '/leaderboard');
+    assert.deepStrictEqual(
+      leaderboard.body.players.map((p) => [p.nickname, p.levelsCompleted]).sort(),
+      [
+        ['ana', 1],
+        ['ben', 1],
+      ]
+    );
+    assert.strictEqual(storage.loadPlayers().length, 2);
+  } finally {
+    await stopServer(game);
+  }
+});
+
+test('servers built by the factory do not share state', async () => {
+  const one = await startServer();
+  const two = await startServer();
+  try {
+    const { token } = await register(one, 'cy', 'FR');
+    await api(one, 'POST', '/join?room=main', {}, token);
+    await api(one, 'POST', '/rooms', { name: 'Side room' }, token);
+
+    assert.strictEqual(one.getPlayers().length, 1);
+    assert.strictEqual(two.getPlayers().length, 0);
+    assert.strictEqual(one.getBoard('main').players.length, 1);
+    assert.strictEqual(two.getBoard('main').players.length, 0);
+    assert.strictEqual(one.getRooms().length, 2);
+    assert.strictEqual(two.getRooms().length, 1);
+    const login = await api(two, 'POST', '/login', { email: 'cy@example.com', password: PASSWORD });
+    assert.strictEqual(login.body.code, 'INVALID_CREDENTIALS');
+  } finally {
+    await stopServer(one);
+    await stopServer(two);
+  }
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStorage } = require('../lib/storage');
+const { startServer, stopServer, api, register, registerAndJoin, hold, PASSWORD } = require('./helpers');
+
+/**
+ * Memory storage whose savePlayers throws while storage.failing is true.
+ */
+function createFailingStorage() {
+  const storage = createMemoryStorage();
+  const savePlayers = storage.savePlayers;
+  storage.failing = false;
+  storage.savePlayers = (players) => {
+    if (storage.failing) throw new Error('disk full');
+    savePlayers(players);
+  };
+  return storage;
+}
+
+test('storage failures in password callbacks answer 500', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const storage = createFailingStorage();
+  const game = await startServer({ storage });
+  try {
+    const { token } = await register(game, 'ana');
+    storage.failing = true;
+
+    const registered = await api(game, 'POST', '/register', {
+      nickname: 'ben',
+      email: 'ben@example.com',
+      password: PASSWORD,
+      country: 'DE',
+    });
+    assert.strictEqual(registered.status, 500);
+    assert.strictEqual(registered.body.code, 'INTERNAL_ERROR');
+
+    const changed = await api(
+      game,
+      'POST',
+      '/account/password',
+      { currentPassword: PASSWORD, newPassword: 'another-password' },
+      token
+    );
+    assert.strictEqual(changed.status, 500);
+    assert.strictEqual(changed.body.code, 'INTERNAL_ERROR');
+    assert.strictEqual((await api(game, 'GET', '/leaderboard')).status, 200);
+  } finally {
+    storage.failing = false;
+    await stopServer(game);
+  }
+});
+
+test('a storage failure when the hold countdown completes a level is logged', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const storage = createFailingStorage();
+  const game = await startServer({ storage, levels: { levels: [{ squares: 2, columns: 2, holdSeconds: 0.05 }] } });
+  try {
+    const [ana, ben] = await registerAndJoin(game, 'main', [
+      ['ana', 'PT'],
+      ['ben', 'DE'],
+    ]);
+    await hold(game, 'main', 0, ana.token);
+    assert.strictEqual((await hold(game, 'main', 1, ben.token)).levelCompleted, false);
+    storage.failing = true;
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    assert.ok(logged.mock.calls.some((call) => call.arguments[0] === 'Timer callback failed'));
+    assert.strictEqual((await api(game, 'GET', '/board?room=main')).status, 200);
+  } finally {
+    storage.failing = false;
+    await stopServer(game);
+  }
+});
+
+test('oversized, malformed and invalid bodies are refused with their codes', async () => {
+  const game = await startServer({ maxBodyBytes: 256 });
+  try {
+    const large = await api(game, 'POST', '/login', { email: 'ana@example.com', password: 'x'.repeat(300) });
+    assert.strictEqual(large.status, 413);
+    assert.strictEqual(large.body.code, 'BODY_TOO_LARGE');
+
+    const malformed = await api(game, 'POST', '/login', '{"email":');
+    assert.strictEqual(malformed.status, 400);
+    assert.strictEqual(malformed.body.code, 'INVALID_JSON');
+
+    const invalid = await api(game, 'POST', '/register', {
+      nickname: 42,
+      email: 'ana@example.com',
+      password: PASSWORD,
+      country: 'PT',
+    });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.code, 'VALIDATION_FAILED');
+    assert.deepStrictEqual(invalid.body.details.map((d) => d.field), ['nickname']);
+
+    const { token } = await register(game, 'ana');
+    const square = await api(game, 'POST', '/hold?room=main', { squareIndex: 'first' }, token);
+    assert.strictEqual(square.body.code, 'VALIDATION_FAILED');
+  } finally {
+    await stopServer(game);
+  }
+});
+
+test('auth routes are rate limited per IP', async () => {
+  const game = await startServer({ authRateLimitPerMinute: 3 });
+  try {
+    const attempt = () => api(game, 'POST', '/login', { email: 'ana@example.com', password: PASSWORD });
+    for (let i = 0; i < 3; i++) assert.strictEqual((await attempt()).body.code, 'INVALID_CREDENTIALS');
+    const limited = await attempt();
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.body.code, 'RATE_LIMITED');
+    assert.ok(limited.body.retryAfterMs > 0);
+    assert.strictEqual((await api(game, 'GET', '/leaderboard')).status, 200);
+  } finally {
+    await stopServer(game);
+  }
+});
+
+test('repeated wrong passwords lock the login for a while', async () => {
+  let now = Date.now();
+  const game = await startServer({ clock: () => now, loginMaxFailures: 2, loginLockoutMs: 60000 });
+  try {
+    await register(game, 'ana');
+    const login = (password) => api(game, 'POST', '/login', { email: 'ana@example.com', password });
+    assert.strictEqual((await login('wrong-password')).body.code, 'INVALID_CREDENTIALS');
+    assert.strictEqual((await login('wrong-password')).body.code, 'INVALID_CREDENTIALS');
+    const locked = await login(PASSWORD);
+    assert.strictEqual(locked.status, 429);
+    assert.strictEqual(locked.body.code, 'ACCOUNT_LOCKED');
+
+    now += 60001;
+    assert.strictEqual((await login(PASSWORD)).status, 200);
+  } finally {
+    await stopServer(game);
+  }
+});
@@ -0,0 +1,145 @@
+const assert = require('node:assert');
+const http = require('http');
+const { createGameServer } = require('../lib/gameServer');
+const { createMemoryStorage } = require('../lib/storage');
+
+/**
+ * Helpers shared by the integration tests: game servers on ephemeral ports
+ * with in-memory storage, driven over the HTTP API.
+ */
+
+const PASSWORD = 'secret-password';
+
+/**
+ * Build a game server and start it on a free port. options are passed to
+ * createGameServer; storage defaults to a fresh memory storage, levels to a
+ * single two-square level without hold time. Resolves with the handle.
+ */
+function startServer(options = {}) {
+  const game = createGameServer(
+    Object.assign(
+      {
+        storage: createMemoryStorage(),
+        levels: { levels: [{ squares: 2, columns: 2, holdSeconds: 0 }] },
+        mailer: { send: (message, cb) => cb(null) },
+      },
+      options
+    )
+  );
+  return new Promise((resolve) => game.listen(0, () => resolve(game)));
+}
+
+/**
+ * Close a game server. Resolves once it has stopped.
+ */
+function stopServer(game) {
+  return new Promise((resolve) => game.close(resolve));
+}
+
+/**
+ * Send a request to a game server. body is sent as JSON, or as is when it is a
+ * string. Resolves with { status, headers, body } where body is the parsed JSON.
+ */
+function api(game, method, path, body, token) {
+  const payload = body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+  const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port: game.server.address().port, path, method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : null });
+      });
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * Open an event stream. Resolves once the answer starts with { status,
+ * events, next(name), close() }: events collects every { event, data }
+ * received, next(name) resolves with the data of the next such event and
+ * close() ends the stream.
+ */
+function openEvents(game, path) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ port: game.server.address().port, path }, (res) => {
+      const events = [];
+      const waiting = []; // { name, resolve } by next()
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const name = /^event: (.*)$/m.exec(block);
+          const data = /^data: (.*)$/m.exec(block);
+          if (!name || !data) continue;
+          const received = { event: name[1], data: JSON.parse(data[1]) };
+          events.push(received);
+          const index = waiting.findIndex((w) => w.name === received.event);
+          if (index !== -1) waiting.splice(index, 1)[0].resolve(received.data);
+        }
+      });
+      resolve({
+        status: res.statusCode,
+        events,
+        next: (name) => new Promise((resolveNext) => waiting.push({ name, resolve: resolveNext })),
+        close: () => res.destroy(),
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Register a player and resolve with { token, player }.
+ */
+async function register(game, nickname, country = 'US') {
+  const { status, body } = await api(game, 'POST', '/register', {
+    nickname,
+    email: `${nickname}@example.com`,
+    password: PASSWORD,
+    country,
+  });
+  assert.strictEqual(status, 200, body.message);
+  return { token: body.token, player: body.player };
+}
+
+/**
+ * Register players and join them to a room, in order. Resolves with their
+ * { token, player } entries.
+ */
+async function registerAndJoin(game, roomId, players) {
+  const joined = [];
+  for (const [nickname, country] of players) {
+    const entry = await register(game, nickname, country);
+    const { status, body } = await api(game, 'POST', `/join?room=${roomId}`, {}, entry.token);
+    assert.strictEqual(status, 200, body.message);
+    joined.push(entry);
+  }
+  return joined;
+}
+
+/**
+ * Hold a square and resolve with the response body.
+ */
+async function hold(game, roomId, squareIndex, token) {
+  return (await api(game, 'POST', `/hold?room=${roomId}`, { squareIndex }, token)).body;
+}
+
+module.exports = {
+  PASSWORD,
+  startServer,
+  stopServer,
+  api,
+  openEvents,
+  register,
+  registerAndJoin,
+  hold,
+};
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, api, register } = require('./helpers');
+
+test('the board of a private room is hidden from guests and kicked players', async () => {
+  const game = await startServer({ adminEmails: ['root@example.com'] });
+  try {
+    const admin = await register(game, 'root');
+    const owner = await register(game, 'owner');
+    const member = await register(game, 'member');
+    const created = await api(game, 'POST', '/rooms', { name: 'Hideout', private: true }, owner.token);
+    const { id, inviteCode } = created.body.room;
+    const joined = await api(game, 'POST', '/join', { inviteCode }, member.token);
+    assert.strictEqual(joined.status, 200, joined.body.message);
+    assert.strictEqual((await api(game, 'GET', `/board?room=${id}`, undefined, member.token)).status, 200);
+
+    assert.strictEqual((await api(game, 'GET', '/board?room=main')).status, 200);
+    const guest = await api(game, 'GET', `/board?room=${id}`);
+    assert.strictEqual(guest.status, 403);
+    assert.strictEqual(guest.body.code, 'INVITE_REQUIRED');
+
+    const kick = await api(game, 'POST', '/admin/kick', { playerId: member.player.id }, admin.token);
+    assert.strictEqual(kick.status, 200, kick.body.message);
+    const kicked = await api(game, 'GET', `/board?room=${id}`, undefined, member.token);
+    assert.strictEqual(kicked.status, 403);
+    assert.strictEqual(kicked.body.code, 'KICKED');
+  } finally {
+    await stopServer(game);
+  }
+});
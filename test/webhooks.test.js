@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { signPayload, verifySignature } = require('../lib/webhooks');
+const { startServer, stopServer, api, registerAndJoin, hold, register } = require('./helpers');
+
+test('verifySignature accepts signPayload signatures of the same body only', () => {
+  const body = JSON.stringify({ event: 'ping', data: {} });
+  const signature = signPayload('s3cret', body);
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.strictEqual(verifySignature('s3cret', body, signature), true);
+  assert.strictEqual(verifySignature('s3cret', body + ' ', signature), false);
+  assert.strictEqual(verifySignature('other', body, signature), false);
+  assert.strictEqual(verifySignature('s3cret', body, undefined), false);
+});
+
+/**
+ * Start a receiver on a free port that answers with the next of statuses (200
+ * once they run out) and records every request. Resolves with { server,
+ * url, requests, received(n) }, where received(n) resolves once n requests came in.
+ */
+function startReceiver(statuses) {
+  const requests = [];
+  const waiting = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.writeHead(statuses.length > 0 ? statuses.shift() : 200);
+      res.end();
+      waiting.filter((w) => requests.length >= w.count).forEach((w) => w.resolve());
+    });
+  });
+  const received = (count) =>
+    new Promise((resolve) => {
+      if (requests.length >= count) resolve();
+      else waiting.push({ count, resolve });
+    });
+  return new Promise((resolve) =>
+    server.listen(0, () => resolve({ server, url: `http://127.0.0.1:${server.address().port}/hook`, requests, received }))
+  );
+}
+
+/**
+ * Resolve once check() returns true, polling every 20ms.
+ */
+async function waitFor(check) {
+  while (!check()) await new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+test('level.completed is delivered signed and retried after a failed attempt', async () => {
+  const receiver = await startReceiver([500]);
+  const game = await startServer({ adminEmails: ['root@example.com'], webhookRetryMs: 10 });
+  try {
+    const admin = await register(game, 'root');
+    const added = await api(
+      game,
+      'POST',
+      '/admin/webhooks',
+      { url: receiver.url, events: ['level.completed'], secret: 'receiver-secret-1234' },
+      admin.token
+    );
+    assert.strictEqual(added.status, 200, added.body.message);
+
+    const [ana, ben] = await registerAndJoin(game, 'main', [
+      ['ana', 'PT'],
+      ['ben', 'DE'],
+    ]);
+    await hold(game, 'main', 0, ana.token);
+    assert.strictEqual((await hold(game, 'main', 1, ben.token)).levelCompleted, true);
+
+    await receiver.received(2);
+    const [failed, retried] = receiver.requests;
+    assert.strictEqual(retried.headers['x-synergy-event'], 'level.completed');
+    assert.strictEqual(retried.headers['x-synergy-delivery'], failed.headers['x-synergy-delivery']);
+    assert.strictEqual(verifySignature('receiver-secret-1234', retried.body, retried.headers['x-synergy-signature']), true);
+    const { data } = JSON.parse(retried.body);
+    assert.strictEqual(data.level, 1);
+    assert.deepStrictEqual(data.squad.map((p) => p.nickname).sort(), ['ana', 'ben']);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(receiver.requests.length, 2);
+  } finally {
+    await stopServer(game);
+    await new Promise((resolve) => receiver.server.close(resolve));
+  }
+});
+
+test('level.completed leaves dev bots out of the squad', async () => {
+  const receiver = await startReceiver([]);
+  const game = await startServer({ adminEmails: ['root@example.com'], botFill: true });
+  try {
+    const admin = await register(game, 'root');
+    await api(game, 'POST', '/admin/webhooks', { url: receiver.url, events: ['level.completed'] }, admin.token);
+    const [ana] = await registerAndJoin(game, 'main', [['ana', 'PT']]);
+
+    // The bot that tops up the squad takes a square on the next bot tick.
+    await waitFor(() => Object.keys(game.getBoard('main').occupied).length === 1);
+    const free = [0, 1].find((i) => !game.getBoard('main').occupied[i]);
+    assert.strictEqual((await hold(game, 'main', free, ana.token)).levelCompleted, true);
+
+    await receiver.received(1);
+    const { data } = JSON.parse(receiver.requests[0].body);
+    assert.deepStrictEqual(data.squad, [{ id: ana.player.id, nickname: 'ana', country: 'PT' }]);
+  } finally {
+    await stopServer(game);
+    await new Promise((resolve) => receiver.server.close(resolve));
+  }
+});